@@ -1,41 +1,94 @@
 /**
  * ENCRYPT-MANIFEST.JS - IMPROVED DETECTION VERSION
- * 🔐 Encrypts manifest.json files with AES-256
+ * 🔐 Encrypts manifest.json files with AES-256-GCM (encryption_version 2.0)
+ * ✅ Legacy AES-256-CBC (encryption_version 1.0) only with ENCRYPTION_VERSION=1.0
+ * ✅ Reads both versions
  * ✅ Better detection: checks UNENCRYPTED manifests first
  * ✅ Fallback to git diff if needed
+ * ✅ Decrypt & verify modes
+ * ✅ Usable as a module: require('./encrypt-manifest.js') (see MODULE API at the bottom)
+ * 
+ * Usage:
+ * node encrypt-manifest.js                     → Encrypt new manifests (default)
+ * node encrypt-manifest.js decrypt [file...]   → Print decrypted manifest(s) to stdout
+ * node encrypt-manifest.js decrypt --temp      → Write decrypted copies to a temp folder
+ * node encrypt-manifest.js verify [file...]    → Check every page of every manifest
+ * node encrypt-manifest.js rotate              → Re-encrypt all manifests with a new token
+ *                                                (OLD_SECRET_TOKEN → NEW_SECRET_TOKEN)
+ * node encrypt-manifest.js migrate             → Upgrade all 1.0 manifests to 2.0
+ *
+ * Any mode also takes --root <dir> (run in that series folder) or
+ * --series <dir,dir,...|parent> (run once per series folder with manga-config.json)
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 
 // ============================================
 // ENCRYPTION SETTINGS
 // ============================================
 
+// 1.0 (legacy): AES-256-CBC, key = SHA-256(token), page = "iv:ciphertext"
+// 2.0:          AES-256-GCM, key = PBKDF2-SHA256(token, per-manifest salt),
+//               page = "iv:ciphertext:tag", page index bound as AAD
 const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
-const SECRET_TOKEN = process.env.SECRET_TOKEN;
+const ENCRYPTION_ALGORITHM_V2 = 'aes-256-gcm';
+const KDF_NAME = 'pbkdf2-sha256';
+const KDF_ITERATIONS = 210000;
+const SUPPORTED_ENCRYPTION_VERSIONS = ['1.0', '2.0'];
+// CLI default (ENCRYPTION_VERSION=1.0 keeps writing the legacy format for a
+// reader that cannot decrypt 2.0). The module API always takes the version explicitly.
+const DEFAULT_ENCRYPTION_VERSION = '2.0';
 const FORCE_SCAN_ALL = process.env.FORCE_SCAN_ALL === 'true';
 
+// Thrown by the crypto / manifest helpers (see module.exports). "code" tells
+// callers what went wrong without parsing the message.
+class ManifestCryptoError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'ManifestCryptoError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
 // ✅ SECURITY: Token must be provided via environment variable
-if (!SECRET_TOKEN) {
-    console.error('╔═══════════════════════════════════════╗');
-    console.error('║  ❌ SECURITY ERROR                    ║');
-    console.error('╚═══════════════════════════════════════╝\n');
-    console.error('SECRET_TOKEN environment variable is required!');
-    console.error('\nPlease set MANIFEST_SECRET_TOKEN in GitHub Secrets:');
-    console.error('  Repository → Settings → Secrets → Actions');
-    console.error('\nTo generate a secure token:');
-    console.error('  node -e "console.log(require(\'crypto\').randomBytes(16).toString(\'hex\'))"');
-    process.exit(1);
-}
-
-// Derive key from token (32 bytes for AES-256)
+function requireToken(envName) {
+    const token = process.env[envName];
+    
+    if (!token) {
+        console.error('╔═══════════════════════════════════════╗');
+        console.error('║  ❌ SECURITY ERROR                    ║');
+        console.error('╚═══════════════════════════════════════╝\n');
+        console.error(`${envName} environment variable is required!`);
+        console.error('\nPlease set MANIFEST_SECRET_TOKEN in GitHub Secrets:');
+        console.error('  Repository → Settings → Secrets → Actions');
+        console.error('\nTo generate a secure token:');
+        console.error('  node -e "console.log(require(\'crypto\').randomBytes(16).toString(\'hex\'))"');
+        process.exit(1);
+    }
+    return token;
+}
+
+// Derive key from token (32 bytes for AES-256) - encryption_version 1.0
 function deriveKey(token) {
     return crypto.createHash('sha256').update(token).digest();
 }
 
+// Derive key from token + salt (32 bytes for AES-256) - encryption_version 2.0
+function deriveKeyV2(token, salt, iterations) {
+    return crypto.pbkdf2Sync(token, salt, iterations, 32, 'sha256');
+}
+
+// Short public fingerprint of a token - tells which token encrypted a manifest
+// without revealing anything usable about the token itself
+function getKeyId(token) {
+    return crypto.createHash('sha256').update('manifest-key-id:').update(deriveKey(token)).digest('hex').slice(0, 12);
+}
+
 // ============================================
 // ENCRYPTION FUNCTIONS
 // ============================================
@@ -51,11 +104,155 @@ function encryptText(text, secretKey) {
     return iv.toString('hex') + ':' + encrypted;
 }
 
-function isEncrypted(text) {
-    // Check if text matches encrypted pattern (hex:hex)
+function decryptText(encryptedText, secretKey) {
+    const [ivHex, encryptedHex] = encryptedText.split(':');
+    const iv = Buffer.from(ivHex, 'hex');
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, secretKey, iv);
+    
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    
+    return decrypted;
+}
+
+function encryptTextV2(text, key, pageIndex) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM_V2, key, iv);
+    cipher.setAAD(Buffer.from(`page:${pageIndex}`, 'utf8'));
+    
+    let encrypted = cipher.update(text, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    
+    return iv.toString('hex') + ':' + encrypted + ':' + cipher.getAuthTag().toString('hex');
+}
+
+function decryptTextV2(encryptedText, key, pageIndex) {
+    const [ivHex, encryptedHex, tagHex] = encryptedText.split(':');
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM_V2, key, Buffer.from(ivHex, 'hex'));
+    decipher.setAAD(Buffer.from(`page:${pageIndex}`, 'utf8'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    try {
+        decrypted += decipher.final('utf8');
+    } catch (error) {
+        throw new ManifestCryptoError('authentication failed (wrong token or tampered data)', 'AUTH_FAILED');
+    }
+    
+    return decrypted;
+}
+
+function isEncryptedV1(text) {
+    // hex(16-byte iv):hex
     return /^[0-9a-f]{32}:[0-9a-f]+$/i.test(text);
 }
 
+function isEncryptedV2(text) {
+    // hex(12-byte iv):hex:hex(16-byte tag)
+    return /^[0-9a-f]{24}:[0-9a-f]+:[0-9a-f]{32}$/i.test(text);
+}
+
+function isEncrypted(text) {
+    // Check if text matches any encrypted pattern
+    return typeof text === 'string' && (isEncryptedV1(text) || isEncryptedV2(text));
+}
+
+// A wrong key usually fails the padding check, but ~1/256 of the time it
+// "succeeds" with garbage - reject anything that is not printable text
+function looksLikePlaintext(text) {
+    return text.length > 0 && !/[\u0000-\u001f\u007f\ufffd]/.test(text);
+}
+
+// ============================================
+// MANIFEST-LEVEL ENCRYPTION
+// ============================================
+
+function getEncryptionVersion(manifest) {
+    // Manifests written before versioning are 1.0
+    return manifest.encryption_version || '1.0';
+}
+
+function getDecryptionKey(manifest, token) {
+    const version = getEncryptionVersion(manifest);
+    
+    if (version === '1.0') {
+        return deriveKey(token);
+    }
+    
+    if (version === '2.0') {
+        const kdf = manifest.kdf || {};
+        if (kdf.name !== KDF_NAME || !/^[0-9a-f]{32,}$/i.test(kdf.salt || '') || !Number.isInteger(kdf.iterations)) {
+            throw new ManifestCryptoError('encryption_version 2.0 but kdf settings are missing or invalid', 'INVALID_KDF');
+        }
+        return deriveKeyV2(token, Buffer.from(kdf.salt, 'hex'), kdf.iterations);
+    }
+    
+    throw new ManifestCryptoError(`unsupported encryption_version "${version}"`, 'UNSUPPORTED_VERSION');
+}
+
+function decryptPage(page, pageIndex, version, key) {
+    if (version === '2.0') {
+        if (!isEncryptedV2(page)) {
+            throw new ManifestCryptoError('not in 2.0 format', 'BAD_PAGE_FORMAT');
+        }
+        return decryptTextV2(page, key, pageIndex);
+    }
+    
+    if (!isEncryptedV1(page)) {
+        throw new ManifestCryptoError('not in 1.0 format', 'BAD_PAGE_FORMAT');
+    }
+    
+    const decrypted = decryptText(page, key);
+    if (!looksLikePlaintext(decrypted)) {
+        throw new ManifestCryptoError('decrypted to garbage (wrong token?)', 'AUTH_FAILED');
+    }
+    return decrypted;
+}
+
+// Decrypts every page, throwing on the first one that fails
+function decryptPages(manifest, token) {
+    const version = getEncryptionVersion(manifest);
+    const key = getDecryptionKey(manifest, token);
+    
+    return manifest.pages.map((page, index) => {
+        try {
+            return decryptPage(page, index, version, key);
+        } catch (error) {
+            throw new ManifestCryptoError(`Page ${index + 1} could not be decrypted (${error.message})`, 'PAGE_DECRYPT_FAILED', { pageIndex: index, cause: error });
+        }
+    });
+}
+
+function checkEncryptionVersion(version) {
+    if (!SUPPORTED_ENCRYPTION_VERSIONS.includes(version)) {
+        throw new ManifestCryptoError(`unsupported encryption_version "${version}"`, 'UNSUPPORTED_VERSION');
+    }
+}
+
+// Replaces manifest.pages with encrypted pages and sets the encryption markers
+function applyEncryption(manifest, plainPages, token, version) {
+    checkEncryptionVersion(version);
+    
+    if (version === '2.0') {
+        const salt = crypto.randomBytes(16);
+        const key = deriveKeyV2(token, salt, KDF_ITERATIONS);
+        
+        manifest.pages = plainPages.map((pageUrl, index) => encryptTextV2(pageUrl, key, index));
+        manifest.kdf = { name: KDF_NAME, iterations: KDF_ITERATIONS, salt: salt.toString('hex') };
+    } else {
+        const key = deriveKey(token);
+        
+        manifest.pages = plainPages.map(pageUrl => encryptText(pageUrl, key));
+        delete manifest.kdf;
+    }
+    
+    manifest.encrypted = true;
+    manifest.encryption_version = version;
+    manifest.key_id = getKeyId(token);
+    
+    return manifest;
+}
+
 // ============================================
 // IMPROVED: GET ALL MANIFESTS
 // ============================================
@@ -95,11 +292,15 @@ function getUnencryptedManifests() {
             const content = fs.readFileSync(manifestPath, 'utf8');
             const manifest = JSON.parse(content);
             
-            if (manifest.pages && manifest.pages.length > 0) {
-                const firstPage = manifest.pages[0];
-                if (!isEncrypted(firstPage)) {
+            // Every page, like verify: a half-encrypted manifest must not slip through
+            if (Array.isArray(manifest.pages) && manifest.pages.length > 0) {
+                const plainCount = manifest.pages.filter(page => !isEncrypted(page)).length;
+                if (plainCount === manifest.pages.length) {
                     unencryptedManifests.push(manifestPath);
                     console.log(`   🔓 Unencrypted: ${manifestPath}`);
+                } else if (plainCount > 0) {
+                    unencryptedManifests.push(manifestPath);
+                    console.log(`   ⚠️  Partly encrypted (${plainCount} plaintext page(s)): ${manifestPath}`);
                 }
             }
         } catch (error) {
@@ -120,7 +321,7 @@ function getModifiedManifestsFromGit() {
         
         // Strategy 1: Check last commit
         try {
-            const lastCommitFiles = execSync('git diff --name-only HEAD~1 HEAD', { 
+            const lastCommitFiles = execSync('git diff --name-only --relative HEAD~1 HEAD', { 
                 encoding: 'utf-8',
                 stdio: ['pipe', 'pipe', 'pipe']
             }).trim();
@@ -147,7 +348,7 @@ function getModifiedManifestsFromGit() {
         // Strategy 2: Check unstaged changes
         if (manifestFiles.length === 0) {
             try {
-                const unstagedFiles = execSync('git diff --name-only', {
+                const unstagedFiles = execSync('git diff --name-only --relative', {
                     encoding: 'utf-8',
                     stdio: ['pipe', 'pipe', 'pipe']
                 }).trim();
@@ -250,65 +451,592 @@ function getManifestsToEncrypt() {
 // MANIFEST PROCESSING
 // ============================================
 
-function encryptManifest(filePath, secretKey) {
+// Encrypts one plaintext manifest in place. Returns true when it was written,
+// false when it was already encrypted; anything else throws ManifestCryptoError.
+function encryptManifest(filePath, token, version) {
+    checkEncryptionVersion(version);
+    
+    console.log(`\n🔍 Processing: ${filePath}`);
+    
+    // Read manifest
+    let manifest;
     try {
-        console.log(`\n🔍 Processing: ${filePath}`);
+        manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ManifestCryptoError(`${filePath}: could not read manifest (${error.message})`, 'MANIFEST_UNREADABLE', { file: filePath, cause: error });
+    }
+    
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        throw new ManifestCryptoError(`${filePath}: no pages array found`, 'NO_PAGES', { file: filePath });
+    }
+    if (manifest.pages.length === 0) {
+        throw new ManifestCryptoError(`${filePath}: pages array is empty`, 'NO_PAGES', { file: filePath });
+    }
+    
+    // Check if already encrypted
+    const encryptedCount = manifest.pages.filter(page => isEncrypted(page)).length;
+    if (encryptedCount > 0 && encryptedCount === manifest.pages.length) {
+        console.log(`  ✅ Already encrypted - skipping`);
+        return false;
+    }
+    if (encryptedCount > 0) {
+        throw new ManifestCryptoError(`${filePath}: mixed encrypted/plaintext pages (run verify)`, 'MIXED_PAGES', { file: filePath });
+    }
+    
+    console.log(`  📊 Total pages: ${manifest.pages.length}`);
+    console.log(`  🔐 Encrypting (v${version})...`);
+    
+    // Encrypt each page URL + add encryption markers
+    applyEncryption(manifest, manifest.pages, token, version);
+    
+    // Save encrypted manifest
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+    } catch (error) {
+        throw new ManifestCryptoError(`${filePath}: could not write manifest (${error.message})`, 'MANIFEST_WRITE_FAILED', { file: filePath, cause: error });
+    }
+    
+    console.log(`  ✅ Encrypted successfully!`);
+    return true;
+}
+
+// ============================================
+// DECRYPT & VERIFY
+// ============================================
+
+function decryptManifest(filePath, token) {
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        throw new ManifestCryptoError('No pages array found', 'NO_PAGES');
+    }
+    
+    if (!manifest.pages.some(page => isEncrypted(page))) {
+        return manifest;
+    }
+    if (!manifest.pages.every(page => isEncrypted(page))) {
+        throw new ManifestCryptoError('Mixed encrypted/plaintext pages (run verify)', 'MIXED_PAGES');
+    }
+    
+    manifest.pages = decryptPages(manifest, token);
+    
+    delete manifest.encrypted;
+    delete manifest.encryption_version;
+    delete manifest.key_id;
+    delete manifest.kdf;
+    
+    return manifest;
+}
+
+function verifyManifest(filePath, token) {
+    const problems = [];
+    const warnings = [];
+    let manifest;
+    
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        problems.push(`corrupt: invalid JSON (${error.message})`);
+        return { problems, warnings };
+    }
+    
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        problems.push('corrupt: no pages array');
+        return { problems, warnings };
+    }
+    
+    if (manifest.pages.length === 0) {
+        warnings.push('manifest has no pages');
+        return { problems, warnings };
+    }
+    
+    const encryptedPages = [];
+    const plainPages = [];
+    
+    manifest.pages.forEach((page, index) => {
+        if (typeof page !== 'string' || page.length === 0) {
+            problems.push(`corrupt: page ${index + 1} is not a non-empty string`);
+        } else if (isEncrypted(page)) {
+            encryptedPages.push(index);
+        } else {
+            plainPages.push(index);
+        }
+    });
+    
+    if (encryptedPages.length > 0 && plainPages.length > 0) {
+        problems.push(`mixed: ${encryptedPages.length} encrypted, ${plainPages.length} plaintext (first plaintext: page ${plainPages[0] + 1})`);
+    } else if (plainPages.length > 0) {
+        if (manifest.encrypted) {
+            problems.push('corrupt: marked encrypted but pages are plaintext');
+        } else {
+            warnings.push('not encrypted yet');
+        }
+    } else if (encryptedPages.length > 0 && !manifest.encrypted) {
+        warnings.push('pages are encrypted but "encrypted" marker is missing');
+    }
+    
+    if (encryptedPages.length === 0) {
+        return { problems, warnings };
+    }
+    
+    if (manifest.key_id && manifest.key_id !== getKeyId(token)) {
+        problems.push(`undecryptable: encrypted with key ${manifest.key_id}, current token is key ${getKeyId(token)}`);
+        return { problems, warnings };
+    }
+    
+    const version = getEncryptionVersion(manifest);
+    let key;
+    try {
+        key = getDecryptionKey(manifest, token);
+    } catch (error) {
+        problems.push(`corrupt: ${error.message}`);
+        return { problems, warnings };
+    }
+    
+    if (version === '1.0') {
+        warnings.push('legacy encryption_version 1.0 (run migrate)');
+    }
+    
+    encryptedPages.forEach(index => {
+        try {
+            decryptPage(manifest.pages[index], index, version, key);
+        } catch (error) {
+            problems.push(`undecryptable: page ${index + 1} (${error.message})`);
+        }
+    });
+    
+    return { problems, warnings };
+}
+
+function resolveManifestArgs(fileArgs) {
+    if (fileArgs.length === 0) {
+        return getAllManifestsInRepo();
+    }
+    
+    fileArgs.forEach(file => {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Manifest not found: ${file}`);
+            process.exit(1);
+        }
+    });
+    return fileArgs;
+}
+
+function commandDecrypt(fileArgs, options, token) {
+    // stdout is reserved for decrypted JSON - all status output goes to stderr
+    const manifestPaths = resolveManifestArgs(fileArgs);
+    
+    if (manifestPaths.length === 0) {
+        console.error('ℹ️  No manifests found');
+        return;
+    }
+    
+    const decrypted = {};
+    let failed = 0;
+    
+    manifestPaths.forEach(filePath => {
+        try {
+            decrypted[filePath] = decryptManifest(filePath, token);
+            console.error(`  🔓 Decrypted: ${filePath}`);
+        } catch (error) {
+            console.error(`  ❌ ${filePath}: ${error.message}`);
+            failed++;
+        }
+    });
+    
+    if (options.temp) {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-decrypt-'));
         
-        // Read manifest
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const manifest = JSON.parse(fileContent);
+        Object.entries(decrypted).forEach(([filePath, manifest]) => {
+            const outPath = path.join(tempDir, filePath);
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+            fs.writeFileSync(outPath, JSON.stringify(manifest, null, 2), 'utf8');
+        });
         
-        if (!manifest.pages || !Array.isArray(manifest.pages)) {
-            console.log(`  ⚠️  No pages array found - skipping`);
-            return false;
+        console.error(`\n📁 Decrypted copies written to: ${tempDir}`);
+        console.error('⚠️  These contain plaintext page URLs - delete them when done');
+    } else if (manifestPaths.length === 1) {
+        const manifest = decrypted[manifestPaths[0]];
+        if (manifest) {
+            console.log(JSON.stringify(manifest, null, 2));
         }
+    } else {
+        console.log(JSON.stringify(decrypted, null, 2));
+    }
+    
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} manifest(s) could not be decrypted`);
+        process.exit(1);
+    }
+}
+
+function commandVerify(fileArgs, token) {
+    const manifestPaths = resolveManifestArgs(fileArgs);
+    
+    console.log(`📋 Verifying ${manifestPaths.length} manifest(s)...\n`);
+    
+    let failed = 0;
+    
+    manifestPaths.forEach(filePath => {
+        const { problems, warnings } = verifyManifest(filePath, token);
         
-        // Check if already encrypted
-        const firstPage = manifest.pages[0] || '';
-        if (isEncrypted(firstPage)) {
-            console.log(`  ✅ Already encrypted - skipping`);
-            return false;
+        if (problems.length > 0) {
+            failed++;
+            console.log(`  ❌ ${filePath}`);
+            problems.forEach(problem => console.log(`     - ${problem}`));
+        } else {
+            console.log(`  ✅ ${filePath}`);
         }
+        warnings.forEach(warning => console.log(`     ⚠️  ${warning}`));
+    });
+    
+    if (failed > 0) {
+        console.log(`\n❌ Verification failed: ${failed}/${manifestPaths.length} manifest(s) have problems`);
+        process.exit(1);
+    }
+    
+    console.log(`\n✅ All ${manifestPaths.length} manifest(s) verified`);
+}
+
+// ============================================
+// KEY ROTATION & MIGRATION
+// ============================================
+
+function writeFilesAtomically(files) {
+    // Stage everything next to the originals first (new content + a backup of
+    // the old one), then swap them in. A failure at any point puts every
+    // original back, so manifests never end up half on one key, half on another.
+    const staged = [];
+    const cleanUp = () => staged.forEach(({ tempPath, backupPath }) => {
+        fs.rmSync(tempPath, { force: true });
+        fs.rmSync(backupPath, { force: true });
+    });
+    
+    try {
+        files.forEach(({ filePath, content }) => {
+            const entry = { filePath, tempPath: `${filePath}.tmp-write`, backupPath: `${filePath}.tmp-backup` };
+            staged.push(entry);
+            fs.copyFileSync(filePath, entry.backupPath);
+            fs.writeFileSync(entry.tempPath, content, 'utf8');
+        });
+    } catch (error) {
+        cleanUp();
+        throw new ManifestCryptoError(`Could not stage manifests (${error.message}) - nothing was modified`, 'MANIFEST_WRITE_FAILED', { cause: error });
+    }
+    
+    const swapped = [];
+    try {
+        staged.forEach(entry => {
+            fs.renameSync(entry.tempPath, entry.filePath);
+            swapped.push(entry);
+        });
+    } catch (error) {
+        const notRestored = [];
+        swapped.forEach(({ filePath, backupPath }) => {
+            try {
+                fs.copyFileSync(backupPath, filePath);
+            } catch (restoreError) {
+                notRestored.push(filePath);
+            }
+        });
         
-        console.log(`  📊 Total pages: ${manifest.pages.length}`);
-        console.log(`  🔐 Encrypting...`);
+        if (notRestored.length > 0) {
+            // Keep the backups around so they can be restored by hand
+            staged.forEach(({ tempPath }) => fs.rmSync(tempPath, { force: true }));
+            throw new ManifestCryptoError(`Could not write manifests (${error.message}) and could not restore ${notRestored.join(', ')} - originals are in the .tmp-backup files`, 'MANIFEST_WRITE_FAILED', { cause: error, files: notRestored });
+        }
         
-        // Encrypt each page URL
-        manifest.pages = manifest.pages.map(pageUrl => {
-            return encryptText(pageUrl, secretKey);
-        });
+        cleanUp();
+        throw new ManifestCryptoError(`Could not write manifests (${error.message}) - all originals restored`, 'MANIFEST_WRITE_FAILED', { cause: error });
+    }
+    
+    cleanUp();
+}
+
+// Decrypts every encrypted manifest with oldToken and re-encrypts it with
+// newToken - in targetVersion, or in its own version when targetVersion is
+// null. Nothing is written unless every page of every manifest decrypts.
+function reencryptAllManifests(oldToken, newToken, targetVersion = null) {
+    const oldKeyId = getKeyId(oldToken);
+    const newKeyId = getKeyId(newToken);
+    
+    const allManifests = getAllManifestsInRepo();
+    const rotated = [];
+    const failures = [];
+    let alreadyDone = 0;
+    let skipped = 0;
+    
+    // Pass 1: decrypt & re-encrypt everything in memory
+    for (const filePath of allManifests) {
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            failures.push(`${filePath}: invalid JSON (${error.message})`);
+            continue;
+        }
         
-        // Add encryption marker
-        manifest.encrypted = true;
-        manifest.encryption_version = '1.0';
+        if (!manifest.pages || !Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+            skipped++;
+            continue;
+        }
         
-        // Save encrypted manifest
-        const jsonString = JSON.stringify(manifest, null, 2);
-        fs.writeFileSync(filePath, jsonString, 'utf8');
+        const fromVersion = getEncryptionVersion(manifest);
+        const toVersion = targetVersion || fromVersion;
+        if (manifest.key_id === newKeyId && fromVersion === toVersion) {
+            alreadyDone++;
+            continue;
+        }
+        if (manifest.key_id && manifest.key_id !== oldKeyId) {
+            failures.push(`${filePath}: encrypted with key ${manifest.key_id}, not the old key`);
+            continue;
+        }
         
-        console.log(`  ✅ Encrypted successfully!`);
-        return true;
+        const encryptedCount = manifest.pages.filter(page => isEncrypted(page)).length;
+        if (encryptedCount === 0) {
+            console.log(`  ℹ️  ${filePath}: not encrypted yet - skipping`);
+            skipped++;
+            continue;
+        }
+        if (encryptedCount !== manifest.pages.length) {
+            failures.push(`${filePath}: mixed encrypted/plaintext pages (run verify)`);
+            continue;
+        }
         
+        try {
+            applyEncryption(manifest, decryptPages(manifest, oldToken), newToken, toVersion);
+            
+            rotated.push({ filePath, content: JSON.stringify(manifest, null, 2) });
+            console.log(`  🔄 ${filePath}: ${manifest.pages.length} page(s) re-encrypted (v${fromVersion} → v${toVersion})`);
+        } catch (error) {
+            failures.push(`${filePath}: ${error.message}`);
+        }
+    }
+    
+    if (failures.length > 0) {
+        console.error(`\n❌ Aborted - ${failures.length} manifest(s) failed to decrypt:`);
+        failures.forEach(failure => console.error(`   - ${failure}`));
+        console.error('\nℹ️  No manifest was modified');
+        process.exit(1);
+    }
+    
+    // Pass 2: all pages decrypted fine - write everything in one go
+    try {
+        writeFilesAtomically(rotated);
     } catch (error) {
-        console.error(`  ❌ Error processing ${filePath}:`, error.message);
-        return false;
+        if (!(error instanceof ManifestCryptoError)) throw error;
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    return { rotated: rotated.length, alreadyDone, skipped };
+}
+
+function printReencryptSummary(title, result) {
+    console.log(`\n✅ ${title} completed!`);
+    console.log(`   🔄 Re-encrypted: ${result.rotated}`);
+    if (result.alreadyDone > 0) {
+        console.log(`   ✅ Already up to date: ${result.alreadyDone}`);
     }
+    if (result.skipped > 0) {
+        console.log(`   ⏭️  Skipped (no encrypted pages): ${result.skipped}`);
+    }
+}
+
+function commandRotate(oldToken, newToken) {
+    const oldKeyId = getKeyId(oldToken);
+    const newKeyId = getKeyId(newToken);
+    
+    if (oldKeyId === newKeyId) {
+        console.error('❌ OLD_SECRET_TOKEN and NEW_SECRET_TOKEN are the same');
+        process.exit(1);
+    }
+    
+    console.log(`🔑 Rotating key ${oldKeyId} → ${newKeyId}\n`);
+    
+    printReencryptSummary('Rotation', reencryptAllManifests(oldToken, newToken));
+    console.log('\n💡 Update MANIFEST_SECRET_TOKEN (and the website) to the new token before the next push');
+}
+
+function commandMigrate(token, encryptionVersion) {
+    // ENCRYPTION_VERSION=1.0 means the website reader cannot decrypt 2.0 yet
+    if (encryptionVersion !== '2.0') {
+        console.error(`❌ Migration targets 2.0 but ENCRYPTION_VERSION is ${encryptionVersion}`);
+        console.error('   Unset ENCRYPTION_VERSION once the website reader supports 2.0');
+        process.exit(1);
+    }
+    
+    console.log(`🔑 Upgrading manifests encrypted with key ${getKeyId(token)} to v2.0\n`);
+    
+    printReencryptSummary('Migration', reencryptAllManifests(token, token, '2.0'));
+    console.log('\n💡 The website reader must support encryption_version 2.0');
+}
+
+// ============================================
+// MULTI-SERIES (--root / --series)
+// ============================================
+
+const SERIES_CONFIG_FILE = 'manga-config.json';
+
+// Pulls --root / --series out of the CLI args so file arguments stay untouched
+function extractSeriesOptions(args) {
+    const options = { root: null, series: null };
+    const rest = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--(root|series)(?:=(.*))?$/);
+        if (!match) {
+            rest.push(args[i]);
+            continue;
+        }
+        if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else {
+            options[match[1]] = args[i + 1];
+            i++;
+        }
+        if (!options[match[1]]) {
+            console.error(`❌ --${match[1]} needs a value`);
+            process.exit(1);
+        }
+    }
+    return { options, rest };
+}
+
+function isSeriesDir(dir) {
+    return fs.existsSync(path.join(dir, SERIES_CONFIG_FILE));
+}
+
+// "--series a,b,c" → those folders; "--series parent" → every subfolder of
+// parent that has a manga-config.json
+function resolveSeriesDirs(value) {
+    const dirs = value.split(',').map(dir => dir.trim()).filter(Boolean);
+    
+    if (dirs.length === 1 && fs.existsSync(dirs[0]) && !isSeriesDir(dirs[0])) {
+        const parent = dirs[0];
+        const children = fs.readdirSync(parent, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => path.join(parent, entry.name))
+            .filter(isSeriesDir)
+            .sort();
+        
+        if (children.length === 0) {
+            console.error(`❌ No series folders (with ${SERIES_CONFIG_FILE}) found in ${parent}`);
+            process.exit(1);
+        }
+        return children;
+    }
+    
+    const missing = dirs.filter(dir => !isSeriesDir(dir));
+    if (missing.length > 0) {
+        console.error(`❌ Not a series folder (no ${SERIES_CONFIG_FILE}): ${missing.join(', ')}`);
+        process.exit(1);
+    }
+    return dirs;
+}
+
+// One child process per series: a failing series (process.exit) does not stop
+// the rest. decrypt keeps stdout for JSON, so progress goes to stderr there.
+function runForEachSeries(dirs, args, log) {
+    const results = dirs.map(dir => {
+        log(`\n📚 ━━━ ${dir} ━━━\n`);
+        try {
+            execFileSync(process.execPath, [__filename, ...args], { cwd: dir, stdio: 'inherit' });
+            return { dir, ok: true };
+        } catch (error) {
+            return { dir, ok: false, code: error.status };
+        }
+    });
+    
+    log(`\n📋 ${results.length} series:`);
+    results.forEach(result => {
+        log(`   ${result.ok ? '✅' : `❌ (exit ${result.code})`} ${result.dir}`);
+    });
+    
+    return results.every(result => result.ok);
 }
 
 // ============================================
 // MAIN
 // ============================================
 
+function printBanner(modeText, log) {
+    log('╔═══════════════════════════════════════╗');
+    log('║   MANIFEST ENCRYPTION SCRIPT v3.0     ║');
+    log(`║ ${modeText.padEnd(39)}║`);
+    log('╚═══════════════════════════════════════╝\n');
+}
+
 function main() {
-    const modeText = FORCE_SCAN_ALL ? '🔥 FORCE MODE: Scan ALL manifests' : '🔍 Smart detection mode';
+    const { options: seriesOptions, rest: args } = extractSeriesOptions(process.argv.slice(2));
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'encrypt';
+    const fileArgs = args.slice(1).filter(arg => !arg.startsWith('--'));
+    
+    const encryptionVersion = process.env.ENCRYPTION_VERSION || DEFAULT_ENCRYPTION_VERSION;
+    if (!SUPPORTED_ENCRYPTION_VERSIONS.includes(encryptionVersion)) {
+        console.error(`❌ Unsupported ENCRYPTION_VERSION: ${encryptionVersion} (use ${SUPPORTED_ENCRYPTION_VERSIONS.join(' or ')})`);
+        process.exit(1);
+    }
+    
+    if (seriesOptions.series) {
+        const log = command === 'decrypt' ? console.error : console.log;
+        if (!runForEachSeries(resolveSeriesDirs(seriesOptions.series), args, log)) {
+            process.exit(1);
+        }
+        return;
+    }
+    
+    if (seriesOptions.root) {
+        if (!isSeriesDir(seriesOptions.root)) {
+            console.error(`❌ Not a series folder (no ${SERIES_CONFIG_FILE}): ${seriesOptions.root}`);
+            process.exit(1);
+        }
+        process.chdir(seriesOptions.root);
+    }
+    
+    if (command === 'rotate') {
+        const oldToken = requireToken('OLD_SECRET_TOKEN');
+        const newToken = requireToken('NEW_SECRET_TOKEN');
+        
+        printBanner('🔄 Key rotation mode', console.log);
+        commandRotate(oldToken, newToken);
+        return;
+    }
+    
+    const SECRET_TOKEN = requireToken('SECRET_TOKEN');
     
-    console.log('╔═══════════════════════════════════════╗');
-    console.log('║   MANIFEST ENCRYPTION SCRIPT v3.0     ║');
-    console.log(`║ ${modeText.padEnd(39)}║`);
-    console.log('╚═══════════════════════════════════════╝\n');
+    switch (command) {
+        case 'encrypt':
+            break;
+        case 'decrypt':
+            printBanner('🔓 Decrypt mode', console.error);
+            commandDecrypt(fileArgs, { temp: args.includes('--temp') }, SECRET_TOKEN);
+            return;
+        case 'verify':
+            printBanner('🔎 Verify mode', console.log);
+            commandVerify(fileArgs, SECRET_TOKEN);
+            return;
+        case 'migrate':
+            printBanner('⬆️  Migrate to v2.0', console.log);
+            commandMigrate(SECRET_TOKEN, encryptionVersion);
+            return;
+        default:
+            console.log('Usage:');
+            console.log('  node encrypt-manifest.js                    → Encrypt new manifests');
+            console.log('  node encrypt-manifest.js decrypt [file...]  → Print decrypted manifest(s) to stdout');
+            console.log('  node encrypt-manifest.js decrypt --temp     → Write decrypted copies to a temp folder');
+            console.log('  node encrypt-manifest.js verify [file...]   → Verify every page of every manifest');
+            console.log('  node encrypt-manifest.js rotate             → Re-encrypt with NEW_SECRET_TOKEN (needs OLD_SECRET_TOKEN)');
+            console.log('  node encrypt-manifest.js migrate            → Upgrade 1.0 manifests to 2.0');
+            console.log('');
+            console.log('  Any mode: --root <dir> → run in that series folder');
+            console.log('            --series <dir,dir,...|parent> → run once per series folder');
+            process.exit(1);
+    }
+    
+    const modeText = FORCE_SCAN_ALL ? '🔥 FORCE MODE: Scan ALL manifests' : '🔍 Smart detection mode';
+    printBanner(modeText, console.log);
     
-    // Derive encryption key
-    const secretKey = deriveKey(SECRET_TOKEN);
     console.log(`🔑 Secret token loaded (${SECRET_TOKEN.length} chars)\n`);
     
     // Get manifests to encrypt using smart detection
@@ -324,10 +1052,19 @@ function main() {
     
     // Encrypt each manifest
     let encryptedCount = 0;
+    let failedCount = 0;
     
     manifestsToProcess.forEach(filePath => {
-        if (encryptManifest(filePath, secretKey)) {
-            encryptedCount++;
+        try {
+            if (encryptManifest(filePath, SECRET_TOKEN, encryptionVersion)) {
+                encryptedCount++;
+            }
+        } catch (error) {
+            if (!(error instanceof ManifestCryptoError)) {
+                throw error;
+            }
+            console.error(`  ❌ ${error.message}`);
+            failedCount++;
         }
     });
     
@@ -335,6 +1072,46 @@ function main() {
     console.log(`║  ✅ Encryption completed!             ║`);
     console.log(`║  📊 Encrypted: ${encryptedCount}/${manifestsToProcess.length} manifest(s)${' '.repeat(11 - String(encryptedCount).length - String(manifestsToProcess.length).length)}║`);
     console.log(`╚═══════════════════════════════════════╝`);
+    if (failedCount > 0) {
+        console.error(`❌ ${failedCount} manifest(s) not encrypted - see errors above`);
+        process.exit(1);
+    }
 }
 
-main();
\ No newline at end of file
+// ============================================
+// MODULE API
+// ============================================
+// require('./encrypt-manifest.js') gives the helpers below without running the
+// CLI or reading SECRET_TOKEN - pass the token (and version) explicitly.
+
+module.exports = {
+    ManifestCryptoError,
+    SUPPORTED_ENCRYPTION_VERSIONS,
+    
+    // Keys
+    deriveKey,
+    deriveKeyV2,
+    getKeyId,
+    
+    // Page-level
+    encryptText,
+    decryptText,
+    encryptTextV2,
+    decryptTextV2,
+    isEncrypted,
+    isEncryptedV1,
+    isEncryptedV2,
+    
+    // Manifest-level
+    getEncryptionVersion,
+    decryptPages,
+    applyEncryption,
+    encryptManifest,
+    decryptManifest,
+    verifyManifest,
+    writeFilesAtomically
+};
+
+if (require.main === module) {
+    main();
+}
@@ -2,25 +2,65 @@
  * MANGA-AUTOMATION.JS v7.0 - SIMPLIFIED
  * ✅ Cloudflare Worker Integration (View tracking handled by Worker)
  * ✅ Manifest-based detection
+ * ✅ Per-page integrity (sha256 + size) with mirror verification
  * ✅ Oneshot support  
- * ✅ Locked chapters
+ * ✅ Special chapters (prologue / extra / special) via specialChapters
+ * ✅ Missing / duplicate chapter detection (manga.json "gaps")
+ * ✅ Usable as a module: require('./manga-automation.js') (see MODULE API at the bottom)
+ * ✅ Locked chapters (with optional scheduled unlock)
+ * ✅ Per-chapter metadata (title, volume, notes, credits, extra)
+ * ✅ Series metadata import from a MangaDex API export (diff first, curated fields kept)
  * ✅ WIB Timezone (GMT+7)
+ * ✅ Atom/RSS feed of newest chapters
+ * ✅ New-chapter announcements to Discord / Telegram / JSON webhooks (announced-chapters.json)
+ * ✅ sitemap.xml + schema.org JSON-LD (ComicSeries / ComicIssue)
+ * ✅ Views analytics (stats.json from daily-views.json)
+ * ✅ daily-views.json rollup (daily → weekly → monthly)
+ * ✅ Old pending view files merged once (merged-views.json), never dropped
+ * ✅ Upload dates recorded once in upload-dates.json (git only for backfill)
+ * ✅ Release history (chapter-history.json)
+ * ✅ Several series in one run (--root / --series + series-index.json)
  * 
  * Usage:
  * node manga-automation.js generate → Generate manga.json from chapter folders
- * node manga-automation.js cleanup  → Remove old pending files
+ *      [--dry-run]        → Only print what would change
+ *      [--summary <file>] → Write a machine-readable change summary
+ * node manga-automation.js cleanup  → Merge old pending files + compact daily-views.json
+ * node manga-automation.js merge-views [--dry-run] → Add pending-*views.json counts to manga.json + daily-views.json
+ * node manga-automation.js validate → Check every chapter manifest against the schema
+ * node manga-automation.js unlock   → Regenerate if a scheduled unlock time has passed
+ * node manga-automation.js feed     → Write feed.xml (Atom) + rss.xml from manga.json
+ * node manga-automation.js stats    → Write stats.json (trending, retention, peaks)
+ * node manga-automation.js compact-views [--dry-run] → Roll old daily views into weekly/monthly
+ * node manga-automation.js reconcile [--rebuild [--dry-run]] → Cross-check manga.json views with daily-views.json
+ * node manga-automation.js dates [list | pin <chapter> <date> | reset <chapter>] → Show / correct recorded upload dates
+ * node manga-automation.js history [--limit N] [--chapter X] → Print the release history
+ * node manga-automation.js seo      → Write sitemap.xml + structured-data.json (JSON-LD) from manga.json
+ * node manga-automation.js hash-pages <chapter> <image folder> [--dry-run] → Store page sha256 + size in manifest.json
+ * node manga-automation.js verify-pages [chapter...] --mirror <folder | url> → Check mirrored images against the manifests
+ * node manga-automation.js manifest <chapter> [image folder] → Build manifest.json from page images
+ *      [--cdn-base <url>] [--pad N] [--dry-run] [--force]
+ * node manga-automation.js import <export.json...> → Fill manga-config.json from a saved MangaDex API response
+ *      [--fields a,b] [--lang id,en] [--write] [--force]
+ * node manga-automation.js notify [--dry-run] [--to <url>] → Post newly published chapters to the configured webhooks
+ * node manga-automation.js index --series <dirs> [--index <file>] → Write the combined series index
+ *
+ * Any command also takes:
+ *      --root <dir>                     → Run in that series folder instead of .
+ *      --series <dir,dir,...|parent>    → Run once per series (parent = every subfolder with
+ *                                         manga-config.json); generate also writes series-index.json
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 
 // ============================================
 // WIB TIMEZONE HELPER (GMT+7)
 // ============================================
 
-function getWIBTimestamp() {
-    const date = new Date();
+function getWIBTimestamp(date = new Date()) {
     const wibStr = date.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T');
     return wibStr + '+07:00';
 }
@@ -32,18 +72,134 @@ function convertToWIB(isoString) {
     return wibStr + '+07:00';
 }
 
+// "YYYY-MM-DD" of the given moment in WIB
+function getWIBDate(date = new Date()) {
+    return date.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).split(' ')[0];
+}
+
+// Calendar arithmetic on "YYYY-MM-DD" strings
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Parses "2026-03-20", "2026-03-20 19:00" or "2026-03-20T19:00:00" as WIB.
+// Strings with an explicit offset / Z are respected as-is.
+function parseWIBDateTime(value) {
+    if (typeof value !== 'string') return null;
+    
+    const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?(Z|[+-]\d{2}:\d{2})?$/);
+    if (!match) return null;
+    
+    const [, datePart, timePart = '00:00', secondsPart = ':00', offset = '+07:00'] = match;
+    const date = new Date(`${datePart}T${timePart}${secondsPart}${offset}`);
+    
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// ============================================
+// ERRORS
+// ============================================
+
+// Thrown by the reusable functions (see module.exports); the CLI turns them
+// into a ❌ message and exit code 1
+class MangaAutomationError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// details.problems: list of validation messages (CONFIG_INVALID)
+class ConfigError extends MangaAutomationError {}
+
+// details.file: the unreadable / malformed data file
+class DataFileError extends MangaAutomationError {}
+
+function reportError(error) {
+    console.error(`❌ ${error.message}`);
+    (error.problems || []).forEach(problem => console.error(`   - ${problem}`));
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
-function loadConfig() {
+// Returns { config, warnings } - warnings are left to the caller to print
+function loadConfigWithWarnings(rootDir = '.') {
+    let config;
     try {
-        const configFile = fs.readFileSync('manga-config.json', 'utf8');
-        return JSON.parse(configFile);
+        const configFile = fs.readFileSync(path.join(rootDir, 'manga-config.json'), 'utf8');
+        config = JSON.parse(configFile);
     } catch (error) {
-        console.error('❌ Error reading manga-config.json:', error.message);
-        process.exit(1);
+        throw new ConfigError(`Error reading manga-config.json: ${error.message}`, 'CONFIG_UNREADABLE');
     }
+    
+    const errors = validateConfig(config, readChapterFolderNames(config, rootDir));
+    if (errors.length > 0) {
+        throw new ConfigError(`manga-config.json is invalid (${errors.length} problem(s)):`, 'CONFIG_INVALID', { problems: errors });
+    }
+    
+    const warnings = getConfigWarnings(config);
+    
+    config.lockedChapters = config.lockedChapters || [];
+    return { config, warnings };
+}
+
+function loadConfig(rootDir = '.') {
+    return loadConfigWithWarnings(rootDir).config;
+}
+
+// loadConfig() for the commands: prints the warnings as well
+function loadCliConfig(rootDir = '.') {
+    const { config, warnings } = loadConfigWithWarnings(rootDir);
+    warnings.forEach(warning => console.warn(`⚠️  manga-config.json: ${warning}`));
+    return config;
+}
+
+// ============================================
+// LOCKED CHAPTER HELPERS
+// ============================================
+
+// lockedChapters entries are either "4.1" or { "chapter": "4.1", "unlockAt": "2026-03-20 19:00" }
+function getLockedChapterEntries(config) {
+    return (config.lockedChapters || []).map(entry => {
+        if (typeof entry === 'string') {
+            return { chapter: entry, unlockAt: null };
+        }
+        const unlockDate = parseWIBDateTime(entry.unlockAt);
+        return {
+            chapter: entry.chapter,
+            unlockAt: unlockDate ? convertToWIB(unlockDate.toISOString()) : null
+        };
+    });
+}
+
+function getLockedChapterNames(config) {
+    return getLockedChapterEntries(config).map(entry => entry.chapter);
+}
+
+function getUnlockAt(chapterName, config) {
+    const entry = getLockedChapterEntries(config).find(e => e.chapter === chapterName);
+    return entry ? entry.unlockAt : null;
+}
+
+function isChapterLocked(chapterName, config, now = new Date()) {
+    const entry = getLockedChapterEntries(config).find(e => e.chapter === chapterName);
+    if (!entry) return false;
+    if (!entry.unlockAt) return true;
+    return now < new Date(entry.unlockAt);
+}
+
+// A scheduled chapter whose unlockAt has passed but whose manifest.json is not
+// uploaded yet stays locked - it would otherwise go public with 0 pages
+function isChapterAwaitingUpload(chapterName, config, rootDir = '.', now = new Date()) {
+    const unlockAt = getUnlockAt(chapterName, config);
+    if (!unlockAt || isChapterLocked(chapterName, config, now)) return false;
+    return !fs.existsSync(path.join(rootDir, chapterName, 'manifest.json'));
 }
 
 function loadJSON(filename) {
@@ -58,6 +214,26 @@ function loadJSON(filename) {
     return null;
 }
 
+// CLI options: --flag, --name value, --name=value
+function hasFlag(name) {
+    return process.argv.slice(3).includes(`--${name}`);
+}
+
+// args: the CLI arguments after the command (view-worker.js has no command)
+function getOption(name, args = process.argv.slice(3)) {
+    const prefix = `--${name}=`;
+    
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith(prefix)) {
+            return args[i].slice(prefix.length);
+        }
+        if (args[i] === `--${name}` && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            return args[i + 1];
+        }
+    }
+    return null;
+}
+
 function saveJSON(filename, data) {
     try {
         const jsonString = JSON.stringify(data, null, 2);
@@ -69,10 +245,465 @@ function saveJSON(filename, data) {
     }
 }
 
+// Saves files that only make sense together ([{ filename, data }]): all are
+// staged as .tmp first, then swapped in; if a swap fails the ones already
+// swapped are put back, so either every file is written or none is.
+function saveJSONFiles(files) {
+    const staged = files.map(({ filename, data }) => ({
+        filename,
+        data,
+        tempPath: `${filename}.tmp`,
+        backupPath: fs.existsSync(filename) ? `${filename}.bak` : null
+    }));
+    const cleanUp = () => staged.forEach(({ tempPath, backupPath }) => {
+        fs.rmSync(tempPath, { force: true });
+        if (backupPath) fs.rmSync(backupPath, { force: true });
+    });
+    
+    try {
+        staged.forEach(({ filename, data, tempPath, backupPath }) => {
+            if (backupPath) fs.copyFileSync(filename, backupPath);
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        });
+    } catch (error) {
+        console.error('❌ Error saving', staged.map(({ filename }) => filename).join(', '), '- nothing written:', error.message);
+        cleanUp();
+        return false;
+    }
+    
+    const swapped = [];
+    try {
+        staged.forEach(entry => {
+            fs.renameSync(entry.tempPath, entry.filename);
+            swapped.push(entry);
+        });
+    } catch (error) {
+        swapped.forEach(({ filename, backupPath }) => {
+            if (backupPath) {
+                fs.copyFileSync(backupPath, filename);
+            } else {
+                fs.rmSync(filename, { force: true });
+            }
+        });
+        console.error('❌ Error saving', staged.map(({ filename }) => filename).join(', '), '- originals restored:', error.message);
+        cleanUp();
+        return false;
+    }
+    
+    cleanUp();
+    return true;
+}
+
+// ============================================
+// CONFIG VALIDATION
+// ============================================
+
+const ALLOWED_STATUSES = ['ONGOING', 'HIATUS', 'END'];
+const ALLOWED_TYPES = ['manga', 'manhwa', 'manhua'];
+const ALLOWED_IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'avif', 'gif'];
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateConfig(config, chapterFolders) {
+    const errors = [];
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['config must be a JSON object'];
+    }
+    
+    // Required strings
+    ['title', 'repoOwner', 'repoName'].forEach(field => {
+        if (!isNonEmptyString(config[field])) {
+            errors.push(`"${field}" is required`);
+        }
+    });
+    ['repoOwner', 'repoName'].forEach(field => {
+        if (isNonEmptyString(config[field]) && !/^[A-Za-z0-9_.-]+$/.test(config[field])) {
+            errors.push(`"${field}" is not a valid GitHub name: ${JSON.stringify(config[field])}`);
+        }
+    });
+    
+    // Optional strings
+    ['alternativeTitle', 'description', 'author', 'artist'].forEach(field => {
+        if (config[field] !== undefined && config[field] !== null && typeof config[field] !== 'string') {
+            errors.push(`"${field}" must be a string`);
+        }
+    });
+    
+    // status / type
+    if (!ALLOWED_STATUSES.includes(config.status)) {
+        errors.push(`"status" must be one of ${ALLOWED_STATUSES.join(', ')} (got ${JSON.stringify(config.status)})`);
+    }
+    if (config.type !== undefined && !ALLOWED_TYPES.includes(config.type)) {
+        errors.push(`"type" must be one of ${ALLOWED_TYPES.join(', ')} (got ${JSON.stringify(config.type)})`);
+    }
+    
+    // genre (missing / empty is only a warning, see getConfigWarnings)
+    if (!isEmptyConfigValue(config.genre) && !Array.isArray(config.genre)) {
+        errors.push('"genre" must be an array of strings');
+    } else if (Array.isArray(config.genre)) {
+        const seenGenres = new Set();
+        config.genre.forEach((genre, index) => {
+            if (!isNonEmptyString(genre)) {
+                errors.push(`"genre[${index}]" must be a non-empty string`);
+            } else if (genre !== genre.trim()) {
+                errors.push(`"genre[${index}]" has leading/trailing spaces: ${JSON.stringify(genre)}`);
+            } else if (seenGenres.has(genre.toLowerCase())) {
+                errors.push(`"genre" lists "${genre}" more than once`);
+            }
+            seenGenres.add(String(genre).toLowerCase());
+        });
+    }
+    
+    if (config.genreMap !== undefined) {
+        const genreMap = config.genreMap;
+        if (!genreMap || typeof genreMap !== 'object' || Array.isArray(genreMap) ||
+            !Object.values(genreMap).every(genre => genre === null || isNonEmptyString(genre))) {
+            errors.push('"genreMap" must be an object of MangaDex tag → genre name (null to skip the tag)');
+        }
+    }
+    
+    // URLs (a missing cover is only a warning)
+    if (!isEmptyConfigValue(config.cover) && !isHttpUrl(config.cover)) {
+        errors.push(`"cover" must be an http(s) URL (got ${JSON.stringify(config.cover)})`);
+    }
+    if (config.links !== undefined) {
+        if (!config.links || typeof config.links !== 'object' || Array.isArray(config.links)) {
+            errors.push('"links" must be an object of name → URL');
+        } else {
+            Object.entries(config.links).forEach(([name, url]) => {
+                if (!isHttpUrl(url)) {
+                    errors.push(`"links.${name}" must be an http(s) URL (got ${JSON.stringify(url)})`);
+                }
+            });
+        }
+    }
+    
+    // Images
+    if (config.imagePrefix !== undefined && !isNonEmptyString(config.imagePrefix)) {
+        errors.push('"imagePrefix" must be a non-empty string');
+    }
+    if (config.imageFormat !== undefined && !ALLOWED_IMAGE_FORMATS.includes(config.imageFormat)) {
+        errors.push(`"imageFormat" must be one of ${ALLOWED_IMAGE_FORMATS.join(', ')} (got ${JSON.stringify(config.imageFormat)})`);
+    }
+    if (config.cdnBase !== undefined && !isHttpUrl(fillUrlTemplate(config.cdnBase, { repo: 'repo', chapter: '1' }))) {
+        errors.push(`"cdnBase" must be an http(s) URL (got ${JSON.stringify(config.cdnBase)})`);
+    }
+    
+    // site / feed
+    if (config.site !== undefined) {
+        if (!config.site || typeof config.site !== 'object' || Array.isArray(config.site)) {
+            errors.push('"site" must be an object');
+        } else {
+            ['seriesUrl', 'chapterUrl'].forEach(field => {
+                if (config.site[field] !== undefined && !isHttpUrl(fillUrlTemplate(config.site[field], { repo: 'x', chapter: '1' }))) {
+                    errors.push(`"site.${field}" must be an http(s) URL template (got ${JSON.stringify(config.site[field])})`);
+                }
+            });
+        }
+    }
+    if (config.feed !== undefined) {
+        if (!config.feed || typeof config.feed !== 'object' || Array.isArray(config.feed)) {
+            errors.push('"feed" must be an object');
+        } else {
+            if (config.feed.limit !== undefined && (!Number.isInteger(config.feed.limit) || config.feed.limit < 1)) {
+                errors.push('"feed.limit" must be a positive integer');
+            }
+            if (config.feed.includeLocked !== undefined && typeof config.feed.includeLocked !== 'boolean') {
+                errors.push('"feed.includeLocked" must be true or false');
+            }
+        }
+    }
+    
+    if (config.viewsRetention !== undefined) {
+        const retention = config.viewsRetention;
+        if (!retention || typeof retention !== 'object' || Array.isArray(retention)) {
+            errors.push('"viewsRetention" must be an object');
+        } else {
+            ['dailyDays', 'weeklyWeeks'].forEach(field => {
+                if (retention[field] !== undefined && (!Number.isInteger(retention[field]) || retention[field] < 1)) {
+                    errors.push(`"viewsRetention.${field}" must be a positive integer`);
+                }
+            });
+        }
+    }
+    
+    if (config.notifications !== undefined) {
+        validateNotifications(config.notifications).forEach(error => errors.push(error));
+        
+        // Telegram posts go out through sendPhoto, which needs an image
+        const webhooks = config.notifications && Array.isArray(config.notifications.webhooks) ? config.notifications.webhooks : [];
+        if (isEmptyConfigValue(config.cover) && webhooks.some(webhook => webhook && webhook.type === 'telegram')) {
+            errors.push('"cover" is required for telegram notifications');
+        }
+    }
+    
+    if (config.views !== undefined && (!Number.isInteger(config.views) || config.views < 0)) {
+        errors.push('"views" must be a non-negative integer');
+    }
+    
+    // lockedChapters
+    const lockedChapters = config.lockedChapters === undefined ? [] : config.lockedChapters;
+    if (!Array.isArray(lockedChapters)) {
+        errors.push('"lockedChapters" must be an array of chapter names');
+    } else {
+        const seenLocked = new Set();
+        lockedChapters.forEach((entry, index) => {
+            const isScheduled = entry && typeof entry === 'object' && !Array.isArray(entry);
+            const chapterName = isScheduled ? entry.chapter : entry;
+            
+            if (isScheduled && !parseWIBDateTime(entry.unlockAt)) {
+                errors.push(`"lockedChapters[${index}].unlockAt" must be a date like "2026-03-20 19:00" (WIB), got ${JSON.stringify(entry.unlockAt)}`);
+            }
+            
+            if (typeof chapterName !== 'string' || !isChapterFolderName(chapterName, config)) {
+                errors.push(`"lockedChapters[${index}]" is not a valid chapter name: ${JSON.stringify(chapterName)} (use e.g. "4.1", "oneshot" or a specialChapters folder)`);
+            } else if (seenLocked.has(chapterName)) {
+                errors.push(`"lockedChapters" lists "${chapterName}" more than once`);
+            }
+            seenLocked.add(chapterName);
+        });
+    }
+    
+    // specialChapters
+    if (config.specialChapters !== undefined) {
+        validateSpecialChapters(config, chapterFolders).forEach(error => errors.push(error));
+    }
+    
+    // chapterMetadata
+    if (config.chapterMetadata !== undefined) {
+        if (!config.chapterMetadata || typeof config.chapterMetadata !== 'object' || Array.isArray(config.chapterMetadata)) {
+            errors.push('"chapterMetadata" must be an object of chapter name → metadata');
+        } else {
+            Object.entries(config.chapterMetadata).forEach(([chapterName, metadata]) => {
+                if (!isChapterFolderName(chapterName, config)) {
+                    errors.push(`"chapterMetadata" key is not a valid chapter name: ${JSON.stringify(chapterName)}`);
+                }
+                validateChapterMetadata(metadata).forEach(error => {
+                    errors.push(`"chapterMetadata.${chapterName}": ${error}`);
+                });
+            });
+        }
+    }
+    
+    // firstChapter
+    if (config.firstChapter !== undefined && !(Number.isInteger(config.firstChapter) && config.firstChapter >= 0)) {
+        errors.push(`"firstChapter" must be a non-negative whole number (got ${JSON.stringify(config.firstChapter)})`);
+    }
+    
+    // endChapter
+    if (config.status === 'END') {
+        const lockedNames = Array.isArray(lockedChapters)
+            ? lockedChapters.map(entry => (entry && typeof entry === 'object') ? entry.chapter : entry)
+            : [];
+        const knownChapters = new Set([...chapterFolders, ...lockedNames]);
+        
+        if (config.endChapter === undefined || config.endChapter === null || config.endChapter === '') {
+            errors.push('"endChapter" is required when status is END');
+        } else if (!knownChapters.has(String(config.endChapter))) {
+            errors.push(`"endChapter" ${JSON.stringify(config.endChapter)} is not an existing chapter`);
+        }
+    }
+    
+    return errors;
+}
+
+// Fields the site wants but that older configs may not have yet - generate
+// goes on without them, validate / generate print these as warnings
+function getConfigWarnings(config) {
+    const warnings = [];
+    if (isEmptyConfigValue(config.genre)) {
+        warnings.push('"genre" is empty - the series page shows no genres');
+    }
+    if (isEmptyConfigValue(config.cover)) {
+        warnings.push('"cover" is not set - feeds, structured data and Discord posts go out without an image');
+    }
+    return warnings;
+}
+
+function validateSpecialChapters(config, chapterFolders) {
+    const errors = [];
+    const specials = config.specialChapters;
+    
+    if (!specials || typeof specials !== 'object' || Array.isArray(specials)) {
+        return ['"specialChapters" must be an object of folder name → { type, sortKey, title }'];
+    }
+    
+    // Every sort key in use, so two chapters never share a position
+    const sortKeyOwners = new Map();
+    (chapterFolders || []).filter(isNumericChapter).forEach(folder => {
+        if (!getSpecialChapter(folder, config)) {
+            sortKeyOwners.set(parseFloat(folder), folder);
+        }
+    });
+    
+    Object.entries(specials).forEach(([folder, entry]) => {
+        const label = `"specialChapters.${folder}"`;
+        
+        if (!SPECIAL_FOLDER_NAME_PATTERN.test(folder) || isOneshotFolder(folder)) {
+            errors.push(`${label}: not a usable folder name (letters, digits, ".", "_" and "-" only)`);
+            return;
+        }
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label} must be an object with "type", "sortKey" and optional "title"`);
+            return;
+        }
+        if (!SPECIAL_CHAPTER_TYPES.includes(entry.type)) {
+            errors.push(`"specialChapters.${folder}.type" must be one of ${SPECIAL_CHAPTER_TYPES.join(', ')} (got ${JSON.stringify(entry.type)})`);
+        }
+        if (entry.title !== undefined && !isNonEmptyString(entry.title)) {
+            errors.push(`"specialChapters.${folder}.title" must be a non-empty string`);
+        }
+        
+        // Numeric folders may omit sortKey (the number is used)
+        if (entry.sortKey === undefined && isNumericChapter(folder)) {
+            return;
+        }
+        if (typeof entry.sortKey !== 'number' || !Number.isFinite(entry.sortKey) || entry.sortKey < 0) {
+            errors.push(`"specialChapters.${folder}.sortKey" must be a non-negative number (got ${JSON.stringify(entry.sortKey)})`);
+            return;
+        }
+        if (sortKeyOwners.has(entry.sortKey)) {
+            errors.push(`"specialChapters.${folder}.sortKey" ${entry.sortKey} is already used by "${sortKeyOwners.get(entry.sortKey)}"`);
+        }
+        sortKeyOwners.set(entry.sortKey, folder);
+    });
+    
+    return errors;
+}
+
+// ============================================
+// CHAPTER METADATA
+// ============================================
+
+// Optional per-chapter fields, read from the chapter's manifest.json and/or
+// manga-config.json → chapterMetadata (config wins, it is the curated copy)
+const CHAPTER_METADATA_FIELDS = ['title', 'volume', 'notes', 'credits', 'extra'];
+
+function validateChapterMetadata(metadata) {
+    const errors = [];
+    
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return ['must be an object'];
+    }
+    
+    if (metadata.title !== undefined && !isNonEmptyString(metadata.title)) {
+        errors.push('"title" must be a non-empty string');
+    }
+    if (metadata.volume !== undefined && !(Number.isInteger(metadata.volume) && metadata.volume > 0) && !isNonEmptyString(metadata.volume)) {
+        errors.push('"volume" must be a positive integer or a string');
+    }
+    if (metadata.notes !== undefined && typeof metadata.notes !== 'string') {
+        errors.push('"notes" must be a string');
+    }
+    if (metadata.credits !== undefined) {
+        const credits = metadata.credits;
+        const validCredits = credits && typeof credits === 'object' && !Array.isArray(credits) &&
+            Object.values(credits).every(value => isNonEmptyString(value) ||
+                (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)));
+        if (!validCredits) {
+            errors.push('"credits" must be an object of role → name (or list of names)');
+        }
+    }
+    if (metadata.extra !== undefined && typeof metadata.extra !== 'boolean') {
+        errors.push('"extra" must be true or false');
+    }
+    
+    return errors;
+}
+
+function pickChapterMetadata(source) {
+    const metadata = {};
+    if (!source) return metadata;
+    
+    CHAPTER_METADATA_FIELDS.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null) {
+            metadata[field] = source[field];
+        }
+    });
+    return metadata;
+}
+
+function getChapterMetadata(chapterName, config, manifest) {
+    const configMetadata = config.chapterMetadata && config.chapterMetadata[chapterName];
+    let manifestMetadata = pickChapterMetadata(manifest);
+    
+    const manifestErrors = validateChapterMetadata(manifestMetadata);
+    if (manifestErrors.length > 0) {
+        console.warn(`⚠️ Ignoring invalid metadata in ${chapterName}/manifest.json: ${manifestErrors.join('; ')}`);
+        manifestMetadata = {};
+    }
+    
+    return {
+        ...manifestMetadata,
+        ...pickChapterMetadata(configMetadata)
+    };
+}
+
+// ============================================
+// SITE URL HELPERS
+// ============================================
+
+// Website pages for the series / a chapter - overridable via manga-config.json → site
+const DEFAULT_SITE_URLS = {
+    seriesUrl: 'https://nuranantoscans.my.id/info-manga.html?repo={repo}',
+    chapterUrl: 'https://nuranantoscans.my.id/reader.html?repo={repo}&chapter={chapter}'
+};
+
+function fillUrlTemplate(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+        return values[key] !== undefined ? encodeURIComponent(values[key]) : match;
+    });
+}
+
+function getSeriesUrl(config) {
+    const template = (config.site && config.site.seriesUrl) || DEFAULT_SITE_URLS.seriesUrl;
+    return fillUrlTemplate(template, { repo: config.repoName });
+}
+
+function getChapterUrl(config, chapterName) {
+    const template = (config.site && config.site.chapterUrl) || DEFAULT_SITE_URLS.chapterUrl;
+    return fillUrlTemplate(template, { repo: config.repoName, chapter: chapterName });
+}
+
+// Name-based UUID (v5 layout over SHA-1) - same input, same id, forever
+function getStableUuid(name) {
+    const hash = crypto.createHash('sha1').update(name).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.toString('hex', 0, 16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+function getChapterGuid(config, chapterName) {
+    return `urn:uuid:${getStableUuid(`${config.repoOwner}/${config.repoName}/chapter/${chapterName}`)}`;
+}
+
 // ============================================
 // ONESHOT HELPER FUNCTIONS
 // ============================================
 
+const SPECIAL_CHAPTER_TYPES = ['prologue', 'extra', 'special'];
+
+const CHAPTER_TYPE_ICONS = {
+    chapter: '📄',
+    oneshot: '🎯',
+    prologue: '🎬',
+    extra: '🎁',
+    special: '⭐'
+};
+
 function isOneshotFolder(folderName) {
     return folderName.toLowerCase() === 'oneshot';
 }
@@ -81,21 +712,82 @@ function isNumericChapter(folderName) {
     return /^\d+(\.\d+)?$/.test(folderName);
 }
 
-function getChapterSortValue(folderName) {
+// specialChapters folder names end up in URLs, file paths and git pathspecs -
+// letters, digits, ".", "_" and "-" only, starting with a letter or digit
+const SPECIAL_FOLDER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// specialChapters: { "<folder>": { "type": "extra", "sortKey": 2.5, "title": "Omake" } }
+// Read defensively - loadConfig() validates it, but folder scans run before that
+function getSpecialChapter(folderName, config) {
+    const specials = config && config.specialChapters;
+    if (!specials || typeof specials !== 'object' || Array.isArray(specials)) return null;
+    if (!Object.prototype.hasOwnProperty.call(specials, folderName)) return null;
+    
+    const entry = specials[folderName];
+    return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+}
+
+function isChapterFolderName(folderName, config) {
+    return isNumericChapter(folderName) || isOneshotFolder(folderName) || getSpecialChapter(folderName, config) !== null;
+}
+
+function getChapterType(folderName, config) {
+    const special = getSpecialChapter(folderName, config);
+    if (special && SPECIAL_CHAPTER_TYPES.includes(special.type)) {
+        return special.type;
+    }
+    return isOneshotFolder(folderName) ? 'oneshot' : 'chapter';
+}
+
+function getChapterTypeIcon(folderName, config) {
+    return CHAPTER_TYPE_ICONS[getChapterType(folderName, config)];
+}
+
+function getChapterSortValue(folderName, config) {
+    const special = getSpecialChapter(folderName, config);
+    if (special && Number.isFinite(special.sortKey)) {
+        return special.sortKey;
+    }
     if (isOneshotFolder(folderName)) {
         return -1;
     }
-    return parseFloat(folderName);
+    if (isNumericChapter(folderName)) {
+        return parseFloat(folderName);
+    }
+    // Unknown names (e.g. removed special chapters still in old data) go last
+    return Infinity;
+}
+
+// Reading order; equal sort keys fall back to the folder name
+function compareChapterNames(a, b, config) {
+    const valueA = getChapterSortValue(a, config);
+    const valueB = getChapterSortValue(b, config);
+    if (valueA !== valueB) {
+        return valueA < valueB ? -1 : 1;
+    }
+    return naturalCompare(a, b);
 }
 
-function getChapterTitle(folderName) {
+function getChapterTitle(folderName, config) {
+    const special = getSpecialChapter(folderName, config);
+    if (special && isNonEmptyString(special.title)) {
+        return special.title;
+    }
     if (isOneshotFolder(folderName)) {
         return 'Oneshot';
     }
-    return `Chapter ${folderName}`;
+    if (isNumericChapter(folderName)) {
+        return `Chapter ${folderName}`;
+    }
+    return folderName;
 }
 
-function getChapterNumber(folderName) {
+// Special chapters report their sortKey, so sorting by "chapter" keeps reading order
+function getChapterNumber(folderName, config) {
+    const special = getSpecialChapter(folderName, config);
+    if (special && Number.isFinite(special.sortKey)) {
+        return special.sortKey;
+    }
     if (isOneshotFolder(folderName)) {
         return 0;
     }
@@ -106,8 +798,8 @@ function getChapterNumber(folderName) {
 // MANIFEST HELPER FUNCTIONS
 // ============================================
 
-function loadManifest(folderName) {
-    const manifestPath = path.join('.', folderName, 'manifest.json');
+function loadManifest(folderName, rootDir = '.') {
+    const manifestPath = path.join(rootDir, folderName, 'manifest.json');
     
     try {
         if (fs.existsSync(manifestPath)) {
@@ -121,8 +813,8 @@ function loadManifest(folderName) {
     return null;
 }
 
-function getTotalPagesFromManifest(folderName) {
-    const manifest = loadManifest(folderName);
+function getTotalPagesFromManifest(folderName, rootDir = '.') {
+    const manifest = loadManifest(folderName, rootDir);
     
     if (manifest) {
         const totalPages = manifest.total_pages || manifest.totalPages || 
@@ -138,24 +830,230 @@ function getTotalPagesFromManifest(folderName) {
 }
 
 // ============================================
-// CHAPTER FOLDER FUNCTIONS
+// MANIFEST SCHEMA VALIDATION
 // ============================================
 
-function getChapterFolders() {
-    const rootDir = '.';
+// Mirrors the page formats written by encrypt-manifest.js
+const ENCRYPTED_PAGE_PATTERNS = {
+    '1.0': /^[0-9a-f]{32}:[0-9a-f]+$/i,
+    '2.0': /^[0-9a-f]{24}:[0-9a-f]+:[0-9a-f]{32}$/i
+};
+
+function isEncryptedPage(page) {
+    return Object.values(ENCRYPTED_PAGE_PATTERNS).some(pattern => pattern.test(page));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function validateManifest(manifest, config) {
+    const errors = [];
+    const warnings = [];
     
-    try {
-        const folders = fs.readdirSync(rootDir, { withFileTypes: true })
-            .filter(dirent => dirent.isDirectory())
-            .filter(dirent => !dirent.name.startsWith('.'))
-            .map(dirent => dirent.name)
-            .filter(name => isNumericChapter(name) || isOneshotFolder(name))
-            .sort((a, b) => getChapterSortValue(a) - getChapterSortValue(b));
-        
-        console.log(`📂 Found ${folders.length} chapter folders`);
-        if (folders.some(f => isOneshotFolder(f))) {
-            console.log('   🎯 Oneshot detected!');
-        }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        errors.push('manifest must be a JSON object');
+        return { errors, warnings };
+    }
+    
+    // pages: required, non-empty array of non-empty strings
+    if (!Array.isArray(manifest.pages)) {
+        errors.push('missing required "pages" array');
+        return { errors, warnings };
+    }
+    if (manifest.pages.length === 0) {
+        errors.push('"pages" is empty');
+    }
+    
+    const badPages = manifest.pages
+        .map((page, index) => (typeof page === 'string' && page.length > 0) ? null : index + 1)
+        .filter(index => index !== null);
+    if (badPages.length > 0) {
+        errors.push(`pages must be non-empty strings (bad: ${badPages.join(', ')})`);
+        return { errors, warnings };
+    }
+    
+    // Page count consistency
+    ['total_pages', 'totalPages'].forEach(field => {
+        if (manifest[field] === undefined) return;
+        
+        if (!Number.isInteger(manifest[field]) || manifest[field] < 0) {
+            errors.push(`"${field}" must be a non-negative integer (got ${JSON.stringify(manifest[field])})`);
+        } else if (manifest[field] !== manifest.pages.length) {
+            errors.push(`"${field}" is ${manifest[field]} but "pages" has ${manifest.pages.length} entries`);
+        }
+    });
+    if (manifest.totalPages !== undefined) {
+        warnings.push('"totalPages" is deprecated, use "total_pages"');
+    }
+    if (manifest.total_pages === undefined && manifest.totalPages === undefined) {
+        warnings.push('"total_pages" not set (falls back to pages.length)');
+    }
+    
+    validateChapterMetadata(pickChapterMetadata(manifest)).forEach(error => errors.push(error));
+    
+    if (manifest.integrity !== undefined) {
+        validateIntegrity(manifest, errors);
+    }
+    
+    const encryptedCount = manifest.pages.filter(page => isEncryptedPage(page)).length;
+    
+    if (encryptedCount > 0) {
+        validateEncryptedManifest(manifest, encryptedCount, errors);
+    } else if (manifest.encrypted) {
+        errors.push('marked "encrypted" but pages are plaintext');
+    } else {
+        validatePlainPages(manifest.pages, config, errors);
+    }
+    
+    return { errors, warnings };
+}
+
+function validateEncryptedManifest(manifest, encryptedCount, errors) {
+    if (encryptedCount !== manifest.pages.length) {
+        errors.push(`mixed pages: ${encryptedCount} encrypted, ${manifest.pages.length - encryptedCount} plaintext`);
+        return;
+    }
+    
+    if (manifest.encrypted !== true) {
+        errors.push('pages are encrypted but "encrypted" is not true');
+    }
+    
+    const version = manifest.encryption_version || '1.0';
+    const pattern = ENCRYPTED_PAGE_PATTERNS[version];
+    if (!pattern) {
+        errors.push(`unknown "encryption_version": ${JSON.stringify(manifest.encryption_version)}`);
+        return;
+    }
+    
+    const wrongFormat = manifest.pages
+        .map((page, index) => pattern.test(page) ? null : index + 1)
+        .filter(index => index !== null);
+    if (wrongFormat.length > 0) {
+        errors.push(`pages not in ${version} format: ${wrongFormat.join(', ')}`);
+    }
+    
+    if (version === '2.0') {
+        const kdf = manifest.kdf;
+        if (!kdf || typeof kdf !== 'object' || typeof kdf.salt !== 'string' || !Number.isInteger(kdf.iterations)) {
+            errors.push('encryption_version 2.0 requires "kdf" with "salt" and "iterations"');
+        }
+    }
+}
+
+// integrity: [{ "file": "Image01.webp", "sha256": "<hex>", "size": 123456 }], one per page.
+// "file" is kept in clear so mirrors can be checked without decrypting the pages.
+function validateIntegrity(manifest, errors) {
+    const integrity = manifest.integrity;
+    if (!Array.isArray(integrity)) {
+        errors.push('"integrity" must be an array');
+        return;
+    }
+    if (integrity.length !== manifest.pages.length) {
+        errors.push(`"integrity" has ${integrity.length} entries but "pages" has ${manifest.pages.length}`);
+    }
+    
+    const plaintext = !manifest.pages.some(page => isEncryptedPage(page));
+    
+    integrity.forEach((entry, index) => {
+        const label = `integrity[${index + 1}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (!isPlainFileName(entry.file)) {
+            errors.push(`${label}: "file" must be a plain file name`);
+        }
+        if (typeof entry.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(entry.sha256)) {
+            errors.push(`${label}: "sha256" must be 64 lowercase hex characters`);
+        }
+        if (!Number.isInteger(entry.size) || entry.size <= 0) {
+            errors.push(`${label}: "size" must be a positive integer`);
+        }
+        
+        if (plaintext && typeof manifest.pages[index] === 'string' && isNonEmptyString(entry.file)) {
+            const pageFile = getPageFileName(manifest.pages[index]);
+            if (pageFile && pageFile !== entry.file) {
+                errors.push(`${label}: file "${entry.file}" does not match page URL file "${pageFile}"`);
+            }
+        }
+    });
+}
+
+function getPageFileName(pageUrl) {
+    try {
+        return decodeURIComponent(new URL(pageUrl).pathname.split('/').pop());
+    } catch (error) {
+        return null;
+    }
+}
+
+// integrity[].file ends up in file paths and URLs - no separators, no ".."
+function isPlainFileName(file) {
+    return isNonEmptyString(file) && !/[\\/\0]/.test(file) && !file.includes('..') && file !== '.';
+}
+
+function validatePlainPages(pages, config, errors) {
+    const imagePrefix = config.imagePrefix || 'Image';
+    const imageFormat = config.imageFormat || 'jpg';
+    const filenamePattern = new RegExp(`^${escapeRegExp(imagePrefix)}(\\d+)\\.${escapeRegExp(imageFormat)}$`, 'i');
+    const seen = new Set();
+    
+    pages.forEach((page, index) => {
+        const pageLabel = `page ${index + 1}`;
+        
+        let url;
+        try {
+            url = new URL(page);
+        } catch (error) {
+            errors.push(`${pageLabel}: not a valid URL (${page})`);
+            return;
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            errors.push(`${pageLabel}: URL must be http(s) (${page})`);
+            return;
+        }
+        
+        if (seen.has(page)) {
+            errors.push(`${pageLabel}: duplicate URL (${page})`);
+        }
+        seen.add(page);
+        
+        const filename = decodeURIComponent(url.pathname.split('/').pop());
+        const match = filename.match(filenamePattern);
+        if (!match) {
+            errors.push(`${pageLabel}: filename "${filename}" does not match ${imagePrefix}<number>.${imageFormat}`);
+        } else if (parseInt(match[1], 10) !== index + 1) {
+            errors.push(`${pageLabel}: filename "${filename}" is out of order (expected number ${index + 1})`);
+        }
+    });
+}
+
+// ============================================
+// CHAPTER FOLDER FUNCTIONS
+// ============================================
+
+function readChapterFolderNames(config, rootDir = '.') {
+    return fs.readdirSync(rootDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .filter(dirent => !dirent.name.startsWith('.'))
+        .map(dirent => dirent.name)
+        .filter(name => isChapterFolderName(name, config))
+        .sort((a, b) => compareChapterNames(a, b, config));
+}
+
+function getChapterFolders(config, rootDir = '.') {
+    try {
+        const folders = readChapterFolderNames(config, rootDir);
+        
+        console.log(`📂 Found ${folders.length} chapter folders`);
+        if (folders.some(f => isOneshotFolder(f))) {
+            console.log('   🎯 Oneshot detected!');
+        }
+        const specials = folders.filter(f => SPECIAL_CHAPTER_TYPES.includes(getChapterType(f, config)));
+        if (specials.length > 0) {
+            console.log(`   ⭐ Special chapters: ${specials.join(', ')}`);
+        }
         return folders;
         
     } catch (error) {
@@ -164,38 +1062,158 @@ function getChapterFolders() {
     }
 }
 
-function checkIfFolderExists(folderName) {
-    return fs.existsSync(path.join('.', folderName));
+function checkIfFolderExists(folderName, rootDir = '.') {
+    return fs.existsSync(path.join(rootDir, folderName));
+}
+
+// No shell involved - the folder name is passed to git as a plain argument.
+// '' when there is no history (or no git repo), like the old `| head -1`
+function getFirstCommitDate(pathspec, rootDir) {
+    try {
+        const output = execFileSync('git', ['log', '--reverse', '--format=%aI', '--', pathspec], {
+            cwd: rootDir,
+            encoding: 'utf-8',
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        return output.split('\n')[0].trim();
+    } catch (error) {
+        return '';
+    }
 }
 
-function getUploadDate(folderName, isLocked) {
-    const folderPath = path.join('.', folderName);
+// First-time detection only - once a date is in upload-dates.json it is never
+// looked up from git again (shallow clones, rebases and re-encryption commits
+// would otherwise move it)
+function getUploadDate(folderName, isLocked, rootDir = '.', now = new Date()) {
+    const folderPath = path.join(rootDir, folderName);
     
     try {
         if (!isLocked) {
-            const manifestGitCommand = `git log --reverse --format=%aI -- "${folderName}/manifest.json" 2>/dev/null | head -1`;
-            const manifestResult = execSync(manifestGitCommand, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+            const manifestResult = getFirstCommitDate(`${folderName}/manifest.json`, rootDir);
             
             if (manifestResult) {
                 const icon = isOneshotFolder(folderName) ? '🎯' : '📄';
                 console.log(`  ${icon} Using manifest.json commit date for ${folderName}`);
-                return convertToWIB(manifestResult);
+                return { date: convertToWIB(manifestResult), source: 'git-manifest' };
             }
         }
         
-        const folderGitCommand = `git log --reverse --format=%aI -- "${folderName}" | head -1`;
-        const folderResult = execSync(folderGitCommand, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+        const folderResult = getFirstCommitDate(folderName, rootDir);
         
         if (folderResult) {
-            return convertToWIB(folderResult);
+            return { date: convertToWIB(folderResult), source: 'git-folder' };
         }
         
         const stats = fs.statSync(folderPath);
-        return convertToWIB(stats.mtime.toISOString());
+        return { date: convertToWIB(stats.mtime.toISOString()), source: 'mtime' };
     } catch (error) {
         console.log(`⚠️  Could not get upload date for ${folderName}, using current date`);
-        return getWIBTimestamp();
+        return { date: getWIBTimestamp(now), source: 'now' };
+    }
+}
+
+// ============================================
+// UPLOAD DATE LEDGER (upload-dates.json)
+// ============================================
+
+const UPLOAD_DATES_FILE = 'upload-dates.json';
+
+const UPLOAD_DATE_SOURCES = {
+    'pinned': 'set by hand (dates pin)',
+    'manga.json': 'backfilled from manga.json when the ledger was created',
+    'git-manifest': 'first commit of manifest.json',
+    'git-folder': 'first commit of the chapter folder',
+    'mtime': 'folder modification time',
+    'now': 'time of first generate (no git history)',
+    'schedule': 'lockedChapters unlockAt (recorded once it has passed)',
+    'placeholder': 'locked chapter, provisional until it is released'
+};
+
+// Returns { chapters: {...} } plus a "created" flag when the file did not exist yet
+function loadUploadDates(rootDir = '.') {
+    const ledgerPath = path.join(rootDir, UPLOAD_DATES_FILE);
+    if (!fs.existsSync(ledgerPath)) {
+        return { ledger: { chapters: {} }, created: true };
+    }
+    
+    const ledger = loadJSON(ledgerPath);
+    if (!ledger || typeof ledger.chapters !== 'object' || ledger.chapters === null || Array.isArray(ledger.chapters)) {
+        throw new DataFileError(`${UPLOAD_DATES_FILE} is unreadable or has no "chapters" object - fix it before generating`, 'LEDGER_INVALID', { file: ledgerPath });
+    }
+    return { ledger, created: false };
+}
+
+// Chapters are written in reading order so the file diffs nicely
+function sortUploadDates(ledger, config) {
+    const sorted = {};
+    Object.keys(ledger.chapters)
+        .sort((a, b) => compareChapterNames(a, b, config))
+        .forEach(name => { sorted[name] = ledger.chapters[name]; });
+    
+    return { ...ledger, chapters: sorted };
+}
+
+function saveUploadDates(ledger, config, rootDir = '.') {
+    return saveJSON(path.join(rootDir, UPLOAD_DATES_FILE), sortUploadDates(ledger, config));
+}
+
+// Decides the uploadDate of one chapter and keeps the ledger entry in sync.
+// Order: pinned → locked placeholder → schedule → recorded → backfill.
+// Nothing in the future is ever recorded: a scheduled chapter keeps a
+// placeholder until it is released and only then gets its unlockAt.
+function resolveUploadDate(chapterName, context) {
+    const { ledger, ledgerCreated, folderExists, isLocked, unlockAt, oldChapter, rootDir, now } = context;
+    const entry = ledger.chapters[chapterName];
+    
+    const record = (date, source) => {
+        if (!entry || entry.uploadDate !== date || entry.source !== source) {
+            ledger.chapters[chapterName] = { uploadDate: date, source: source, recordedAt: getWIBTimestamp(now) };
+        }
+        return date;
+    };
+    
+    if (entry && entry.source === 'pinned') {
+        return entry.uploadDate;
+    }
+    
+    if (isLocked && (!folderExists || unlockAt)) {
+        if (entry && entry.source === 'placeholder') {
+            return entry.uploadDate;
+        }
+        // Older versions put a future unlockAt into manga.json - don't carry that over
+        if (oldChapter && oldChapter.uploadDate && new Date(oldChapter.uploadDate) <= now) {
+            console.log(`🔒 Keeping old date for locked ${chapterName}: ${oldChapter.uploadDate}`);
+            return record(oldChapter.uploadDate, 'placeholder');
+        }
+        const date = getWIBTimestamp(now);
+        console.log(`🔒 NEW locked chapter ${chapterName}: ${date}`);
+        return record(date, 'placeholder');
+    }
+    
+    if (unlockAt) {
+        // Scheduled release: the chapter goes public at unlockAt
+        return record(unlockAt, 'schedule');
+    }
+    
+    // Placeholders are the only entries that get replaced once the folder shows up
+    if (entry && entry.source !== 'placeholder') {
+        return entry.uploadDate;
+    }
+    
+    // One-time backfill. The first ledger run copies the dates readers already
+    // see in manga.json - except placeholders of folder-less locked chapters.
+    const wasPlaceholder = oldChapter && oldChapter.locked && !oldChapter.totalPages;
+    if (ledgerCreated && oldChapter && oldChapter.uploadDate && !wasPlaceholder) {
+        return record(oldChapter.uploadDate, 'manga.json');
+    }
+    
+    if (!folderExists) {
+        return record(getWIBTimestamp(now), 'now');
     }
+    
+    const detected = getUploadDate(chapterName, isLocked, rootDir, now);
+    console.log(`  📅 Recorded upload date for ${chapterName} (${detected.source})`);
+    return record(detected.date, detected.source);
 }
 
 function getOldChapterViews(chapterName, oldMangaData) {
@@ -215,8 +1233,11 @@ function getOldChapterViews(chapterName, oldMangaData) {
 // GENERATECHAPTERS DATA
 // ============================================
 
-function generateChaptersData(config, oldMangaData) {
-    const allFolders = getChapterFolders();
+// options: { rootDir = '.', now = new Date() }
+function generateChaptersData(config, oldMangaData, uploadDates, options = {}) {
+    const { rootDir = '.', now = new Date() } = options;
+    const allFolders = getChapterFolders(config, rootDir);
+    const lockedChapterNames = getLockedChapterNames(config);
     const chapters = {};
     
     // Auto-remove deleted locked chapters
@@ -224,8 +1245,8 @@ function generateChaptersData(config, oldMangaData) {
     if (oldMangaData && oldMangaData.chapters) {
         Object.keys(oldMangaData.chapters).forEach(chapterName => {
             const oldChapter = oldMangaData.chapters[chapterName];
-            const folderExists = checkIfFolderExists(chapterName);
-            const inCurrentConfig = config.lockedChapters.includes(chapterName);
+            const folderExists = checkIfFolderExists(chapterName, rootDir);
+            const inCurrentConfig = lockedChapterNames.includes(chapterName);
             
             if (oldChapter.locked && !folderExists && !inCurrentConfig) {
                 removedLockedChapters.push(chapterName);
@@ -241,42 +1262,47 @@ function generateChaptersData(config, oldMangaData) {
     // Combine all chapter names
     const allChapterNames = new Set([
         ...allFolders,
-        ...config.lockedChapters
+        ...lockedChapterNames
     ]);
     
     const sortedChapterNames = Array.from(allChapterNames).sort((a, b) => {
-        return getChapterSortValue(a) - getChapterSortValue(b);
+        return compareChapterNames(a, b, config);
     });
     
     console.log('\n📖 Processing chapters...');
     
     sortedChapterNames.forEach(chapterName => {
-        const folderExists = checkIfFolderExists(chapterName);
-        const totalPages = folderExists ? getTotalPagesFromManifest(chapterName) : 0;
-        
-        const isInLockedList = config.lockedChapters.includes(chapterName);
-        const isLocked = isInLockedList;
-        
-        let uploadDate;
-        if (isLocked && !folderExists) {
-            const oldChapter = oldMangaData && oldMangaData.chapters && oldMangaData.chapters[chapterName];
-            if (oldChapter && oldChapter.uploadDate) {
-                uploadDate = oldChapter.uploadDate;
-                console.log(`🔒 Keeping old date for locked ${chapterName}: ${uploadDate}`);
-            } else {
-                uploadDate = getWIBTimestamp();
-                console.log(`🔒 NEW locked chapter ${chapterName}: ${uploadDate}`);
-            }
-        } else {
-            uploadDate = folderExists ? getUploadDate(chapterName, isLocked) : getWIBTimestamp();
+        const folderExists = checkIfFolderExists(chapterName, rootDir);
+        const totalPages = folderExists ? getTotalPagesFromManifest(chapterName, rootDir) : 0;
+        
+        const awaitingUpload = isChapterAwaitingUpload(chapterName, config, rootDir, now);
+        const isLocked = awaitingUpload || isChapterLocked(chapterName, config, now);
+        const unlockAt = getUnlockAt(chapterName, config);
+        
+        if (awaitingUpload) {
+            console.warn(`⚠️  ${chapterName} passed its unlockAt but has no manifest.json yet - keeping it locked`);
         }
         
+        const uploadDate = resolveUploadDate(chapterName, {
+            ledger: uploadDates.ledger,
+            ledgerCreated: uploadDates.created,
+            folderExists,
+            isLocked,
+            unlockAt,
+            oldChapter: oldMangaData && oldMangaData.chapters && oldMangaData.chapters[chapterName],
+            rootDir,
+            now
+        });
+        
         // ✅ PRESERVE OLD VIEWS (Worker will increment these)
         const views = getOldChapterViews(chapterName, oldMangaData);
         
+        const metadata = getChapterMetadata(chapterName, config, folderExists ? loadManifest(chapterName, rootDir) : null);
+        
         chapters[chapterName] = {
-            title: getChapterTitle(chapterName),
-            chapter: getChapterNumber(chapterName),
+            title: metadata.title || getChapterTitle(chapterName, config),
+            chapter: getChapterNumber(chapterName, config),
+            type: getChapterType(chapterName, config),
             folder: chapterName,
             uploadDate: uploadDate,
             totalPages: totalPages,
@@ -285,47 +1311,194 @@ function generateChaptersData(config, oldMangaData) {
             views: views
         };
         
+        if (unlockAt) {
+            chapters[chapterName].unlockAt = unlockAt;
+        }
+        
+        ['volume', 'notes', 'credits', 'extra'].forEach(field => {
+            if (metadata[field] !== undefined) {
+                chapters[chapterName][field] = metadata[field];
+            }
+        });
+        
+        if (unlockAt) {
+            console.log(`   ⏰ ${chapterName} ${isLocked ? 'unlocks' : 'unlocked'} at ${unlockAt}`);
+        }
+        
         const lockIcon = isLocked ? '🔒' : '✅';
-        const typeIcon = isOneshotFolder(chapterName) ? '🎯' : '📄';
+        const typeIcon = getChapterTypeIcon(chapterName, config);
         const dateStr = uploadDate.split('T')[0];
         console.log(`${lockIcon}${typeIcon} ${chapterName} - ${totalPages} pages - ${dateStr} - ${views} views`);
     });
     
-    // Calculate last chapter update
+    // Calculate last chapter update - public chapters only, a locked one is not an update yet
     let lastChapterUpdate = null;
     
-    const allChapterDates = Object.values(chapters).map(ch => ({
-        chapterName: ch.folder,
-        uploadDate: ch.uploadDate,
-        locked: ch.locked
-    }));
+    const publicChapterDates = Object.values(chapters)
+        .filter(ch => !ch.locked)
+        .map(ch => ({
+            chapterName: ch.folder,
+            uploadDate: ch.uploadDate
+        }));
     
-    if (allChapterDates.length > 0) {
-        allChapterDates.sort((a, b) => {
+    if (publicChapterDates.length > 0) {
+        publicChapterDates.sort((a, b) => {
             return new Date(b.uploadDate) - new Date(a.uploadDate);
         });
         
-        lastChapterUpdate = allChapterDates[0].uploadDate;
+        lastChapterUpdate = publicChapterDates[0].uploadDate;
         
-        const lockIcon = allChapterDates[0].locked ? '🔒' : '✅';
-        console.log(`\n${lockIcon} Last chapter update: ${lastChapterUpdate} (from ${allChapterDates[0].locked ? 'LOCKED' : 'unlocked'} chapter ${allChapterDates[0].chapterName})`);
+        console.log(`\n✅ Last chapter update: ${lastChapterUpdate} (from chapter ${publicChapterDates[0].chapterName})`);
     } else {
-        console.log('\n⚠️  No chapters found, using current date');
-        lastChapterUpdate = getWIBTimestamp();
+        console.log('\n⚠️  No public chapters found, using current date');
+        lastChapterUpdate = getWIBTimestamp(now);
     }
     
     return { chapters, lastChapterUpdate };
 }
 
 // ============================================
-// COMMAND 1: GENERATE MANGA.JSON
+// CHAPTER SEQUENCE CHECK (gaps / duplicates)
 // ============================================
 
-function commandGenerate() {
-    console.log('📚 Generating manga.json...\n');
+// [1, 2, 3, 7] → [{ from: 1, to: 3 }, { from: 7, to: 7 }]
+function toNumberRanges(numbers) {
+    const ranges = [];
+    numbers.forEach(number => {
+        const last = ranges[ranges.length - 1];
+        if (last && number === last.to + 1) {
+            last.to = number;
+        } else {
+            ranges.push({ from: number, to: number });
+        }
+    });
+    return ranges;
+}
+
+// Looks at plain numeric chapters only (oneshot / specialChapters have their own
+// sortKey). A major number with a whole folder ("2") treats its decimals ("2.5")
+// as in-between chapters; a major with only parts ("3.1", "3.2") must count 1..n.
+// Only single-digit decimals are parts - "3.10" / "3.15" say nothing about 3.2-3.9.
+// Majors count from config.firstChapter, else from the lowest folder.
+function analyseChapterSequence(chapterNames, config) {
+    const gaps = { missing: [], duplicates: [], ordering: [] };
+    const majors = new Map();
+    const byValue = new Map();
+    
+    chapterNames
+        .filter(name => isNumericChapter(name) && getChapterType(name, config) === 'chapter')
+        .forEach(name => {
+            const [majorStr, partStr] = name.split('.');
+            const major = parseInt(majorStr, 10);
+            
+            if (!majors.has(major)) {
+                majors.set(major, { whole: false, parts: [] });
+            }
+            if (partStr === undefined) {
+                majors.get(major).whole = true;
+            } else if (partStr.length === 1) {
+                majors.get(major).parts.push(parseInt(partStr, 10));
+            }
+            
+            const value = parseFloat(name);
+            byValue.set(value, (byValue.get(value) || []).concat(name));
+            
+            if (majorStr.length > 1 && majorStr.startsWith('0')) {
+                gaps.ordering.push({ folder: name, reason: `leading zero - same number as "${String(value)}"` });
+            }
+            if (partStr !== undefined && partStr.length > 1 && partStr.endsWith('0')) {
+                gaps.ordering.push({ folder: name, reason: `sorts as ${value} (decimal), not as part ${parseInt(partStr, 10)}` });
+            }
+        });
+    
+    byValue.forEach((folders, value) => {
+        if (folders.length > 1) {
+            gaps.duplicates.push({ value, folders: folders.sort() });
+        }
+    });
+    
+    if (majors.size === 0) {
+        return gaps;
+    }
+    
+    const sortedMajors = Array.from(majors.keys()).sort((a, b) => a - b);
+    const firstMajor = config && Number.isInteger(config.firstChapter)
+        ? Math.min(config.firstChapter, sortedMajors[0])
+        : sortedMajors[0];
+    const lastMajor = sortedMajors[sortedMajors.length - 1];
+    
+    const missingMajors = [];
+    for (let major = firstMajor; major <= lastMajor; major++) {
+        if (!majors.has(major)) {
+            missingMajors.push(major);
+        }
+    }
+    const missing = toNumberRanges(missingMajors).map(range => ({
+        from: String(range.from),
+        to: String(range.to),
+        sortValue: range.from
+    }));
+    
+    sortedMajors.forEach(major => {
+        const info = majors.get(major);
+        if (info.whole || info.parts.length === 0) return;
+        
+        const parts = new Set(info.parts);
+        const missingParts = [];
+        for (let part = 1; part <= Math.max(...info.parts); part++) {
+            if (!parts.has(part)) {
+                missingParts.push(part);
+            }
+        }
+        toNumberRanges(missingParts).forEach(range => {
+            missing.push({
+                from: `${major}.${range.from}`,
+                to: `${major}.${range.to}`,
+                sortValue: major + range.from / 1000
+            });
+        });
+    });
+    
+    gaps.missing = missing
+        .sort((a, b) => a.sortValue - b.sortValue)
+        .map(({ from, to }) => ({ from, to }));
+    
+    return gaps;
+}
+
+function printChapterSequenceWarnings(gaps) {
+    const total = gaps.missing.length + gaps.duplicates.length + gaps.ordering.length;
+    if (total === 0) {
+        console.log('\n🧩 Chapter sequence: no gaps or duplicates');
+        return;
+    }
     
-    const config = loadConfig();
-    const oldMangaData = loadJSON('manga.json');
+    console.log('\n🧩 Chapter sequence warnings:');
+    gaps.missing.forEach(({ from, to }) => {
+        console.log(`   ⚠️  Missing: ${from === to ? from : `${from} – ${to}`}`);
+    });
+    gaps.duplicates.forEach(({ value, folders }) => {
+        console.log(`   ⚠️  Duplicate number ${value}: ${folders.join(', ')}`);
+    });
+    gaps.ordering.forEach(({ folder, reason }) => {
+        console.log(`   ⚠️  Ordering: ${folder} ${reason}`);
+    });
+}
+
+// ============================================
+// COMMAND 1: GENERATE MANGA.JSON
+// ============================================
+
+// Builds the new manga.json without writing anything.
+// options: { rootDir = '.', config, oldMangaData, uploadDates, now = new Date() } -
+// whatever is left out is read from rootDir.
+// Returns { mangaData, changes, uploadDates, uploadDatesChanged }.
+function buildMangaData(options = {}) {
+    const rootDir = options.rootDir || '.';
+    const now = options.now || new Date();
+    const config = options.config || loadConfig(rootDir);
+    const oldMangaData = options.oldMangaData !== undefined ? options.oldMangaData : loadJSON(path.join(rootDir, 'manga.json'));
+    const uploadDates = options.uploadDates || loadUploadDates(rootDir);
     
     if (!oldMangaData || !oldMangaData.manga) {
         console.log('🆕 First-time generation - creating new manga.json');
@@ -333,7 +1506,9 @@ function commandGenerate() {
         console.log('🔄 Updating existing manga.json (preserving views)');
     }
     
-    const { chapters, lastChapterUpdate } = generateChaptersData(config, oldMangaData);
+    const ledgerBefore = JSON.stringify(uploadDates.ledger);
+    
+    const { chapters, lastChapterUpdate } = generateChaptersData(config, oldMangaData, uploadDates, { rootDir, now });
     
     // ✅ PRESERVE OLD TOTAL VIEWS (Worker will increment these)
     let totalViews = 0;
@@ -362,117 +1537,2962 @@ function commandGenerate() {
             repoUrl: repoUrl,
             imagePrefix: config.imagePrefix || 'Image',
             imageFormat: config.imageFormat || 'jpg',
-            lockedChapters: config.lockedChapters || [],
+            lockedChapters: Object.keys(chapters).filter(name => chapters[name].locked),
             type: config.type || 'manga'
         },
         chapters: chapters,
-        lastUpdated: getWIBTimestamp(),
-        lastChapterUpdate: lastChapterUpdate
+        gaps: analyseChapterSequence(Object.keys(chapters), config),
+        lastUpdated: getWIBTimestamp(now),
+        lastChapterUpdate: lastChapterUpdate,
+        configHash: getConfigHash(config)
     };
     
-    if (config.status === 'END' && config.endChapter) {
+    printChapterSequenceWarnings(mangaJSON.gaps);
+    
+    if (config.status === 'END') {
         mangaJSON.manga.endChapter = config.endChapter;
         console.log(`🏁 Status: END - endChapter: ${config.endChapter}`);
-    } else if (config.status === 'END' && !config.endChapter) {
-        console.warn('⚠️ Status is END but endChapter not set in manga-config.json!');
-    }
-    
-    if (saveJSON('manga.json', mangaJSON)) {
-        console.log('\n✅ manga.json generated successfully!');
-        console.log(`📊 Stats:`);
-        console.log(`   Total chapters: ${Object.keys(chapters).length}`);
-        
-        const lockedCount = Object.values(chapters).filter(ch => ch.locked).length;
-        const unlockedCount = Object.values(chapters).filter(ch => !ch.locked).length;
-        const oneshotCount = Object.keys(chapters).filter(ch => isOneshotFolder(ch)).length;
-        const totalChapterViews = Object.values(chapters).reduce((sum, ch) => sum + (ch.views || 0), 0);
-        
-        console.log(`   🔒 Locked chapters: ${lockedCount}`);
-        console.log(`   🔓 Unlocked chapters: ${unlockedCount}`);
-        if (oneshotCount > 0) {
-            console.log(`   🎯 Oneshot chapters: ${oneshotCount}`);
-        }
-        console.log(`   👁️  Total manga views: ${totalViews}`);
-        console.log(`   👁️  Total chapter views: ${totalChapterViews}`);
-        console.log(`   📅 Last updated: ${mangaJSON.lastUpdated}`);
-        console.log(`   📅 Last chapter update: ${mangaJSON.lastChapterUpdate}`);
-        console.log(`   📱 Type: ${mangaJSON.manga.type}`);
-        console.log('\n💡 Views are managed by Cloudflare Worker (updated daily at 00:00 WIB)');
-    } else {
-        process.exit(1);
     }
+    
+    return {
+        mangaData: mangaJSON,
+        changes: diffMangaData(oldMangaData, mangaJSON, config),
+        uploadDates: uploadDates,
+        uploadDatesChanged: uploadDates.created || JSON.stringify(uploadDates.ledger) !== ledgerBefore
+    };
 }
 
-// ============================================
-// COMMAND 2: CLEANUP OLD FILES
-// ============================================
+// Writes everything generate produces from a buildMangaData() result:
+// upload-dates.json, chapter-history.json, manga.json, feeds and site data.
+// options: { rootDir = '.', config, now = new Date() }. Stops at the first failed write.
+// The first three are written together, so a failed run can be re-run without
+// appending the same history events twice.
+function writeMangaData(result, options = {}) {
+    const { rootDir = '.', config, now = new Date() } = options;
+    const { mangaData, changes, uploadDates, uploadDatesChanged } = result;
+    
+    const historyUpdate = buildHistoryUpdate(changes, mangaData, rootDir, now);
+    if (historyUpdate === false) {
+        return false;
+    }
+    
+    const files = [];
+    if (uploadDatesChanged) {
+        files.push({ filename: path.join(rootDir, UPLOAD_DATES_FILE), data: sortUploadDates(uploadDates.ledger, config) });
+    }
+    if (historyUpdate) {
+        files.push({ filename: path.join(rootDir, HISTORY_FILE), data: historyUpdate.history });
+    }
+    files.push({ filename: path.join(rootDir, 'manga.json'), data: mangaData });
+    
+    if (!saveJSONFiles(files)) {
+        return false;
+    }
+    if (uploadDatesChanged) {
+        console.log(`\n📅 ${UPLOAD_DATES_FILE} updated`);
+    }
+    if (historyUpdate) {
+        console.log(historyUpdate.message);
+    }
+    console.log('\n✅ manga.json generated successfully!\n');
+    
+    return writeFeeds(mangaData, config, rootDir) && writeSiteData(mangaData, config, rootDir);
+}
 
-function commandCleanup() {
-    console.log('🗑️  Cleaning up old pending files...\n');
+function commandGenerate() {
+    console.log('📚 Generating manga.json...\n');
     
-    const filesToRemove = [
-        'pending-views.json',
-        'pending-chapter-views.json'
-        // ⚠️ TIDAK HAPUS daily-views.json!
-        // File ini dibutuhkan untuk trending (updated by Cloudflare Worker)
-    ];
+    const now = new Date();
+    const config = loadCliConfig();
+    const result = buildMangaData({ config, now });
+    const { mangaData: mangaJSON, changes } = result;
+    const chapters = mangaJSON.chapters;
     
-    let removed = 0;
+    printChangeSummary(changes);
     
-    filesToRemove.forEach(filename => {
-        if (fs.existsSync(filename)) {
-            try {
-                fs.unlinkSync(filename);
-                console.log(`✅ Removed ${filename}`);
-                removed++;
-            } catch (error) {
-                console.warn(`⚠️ Could not remove ${filename}:`, error.message);
-            }
-        } else {
-            console.log(`ℹ️  ${filename} not found (already clean)`);
-        }
-    });
+    const summaryFile = getOption('summary');
+    if (summaryFile && !saveJSON(summaryFile, changes)) {
+        process.exit(1);
+    }
     
-    // Check if daily-views.json exists
-    if (fs.existsSync('daily-views.json')) {
-        console.log(`ℹ️  daily-views.json kept (managed by Cloudflare Worker)`);
+    if (hasFlag('dry-run')) {
+        console.log('\n🧪 Dry run - manga.json not written');
+        return;
     }
     
-    if (removed > 0) {
-        console.log(`\n✅ Cleanup complete! Removed ${removed} file(s)`);
-        console.log('💡 View tracking is now handled by Cloudflare Worker');
-    } else {
-        console.log('\n✅ No old files to remove');
+    if (!writeMangaData(result, { config, now })) {
+        process.exit(1);
+    }
+    
+    console.log(`\n📊 Stats:`);
+    console.log(`   Total chapters: ${Object.keys(chapters).length}`);
+    
+    const lockedCount = Object.values(chapters).filter(ch => ch.locked).length;
+    const unlockedCount = Object.values(chapters).filter(ch => !ch.locked).length;
+    const oneshotCount = Object.keys(chapters).filter(ch => isOneshotFolder(ch)).length;
+    const specialCount = Object.values(chapters).filter(ch => SPECIAL_CHAPTER_TYPES.includes(ch.type)).length;
+    const totalChapterViews = Object.values(chapters).reduce((sum, ch) => sum + (ch.views || 0), 0);
+    
+    console.log(`   🔒 Locked chapters: ${lockedCount}`);
+    console.log(`   🔓 Unlocked chapters: ${unlockedCount}`);
+    if (oneshotCount > 0) {
+        console.log(`   🎯 Oneshot chapters: ${oneshotCount}`);
+    }
+    if (specialCount > 0) {
+        console.log(`   ⭐ Special chapters: ${specialCount}`);
     }
+    console.log(`   👁️  Total manga views: ${mangaJSON.manga.views}`);
+    console.log(`   👁️  Total chapter views: ${totalChapterViews}`);
+    console.log(`   📅 Last updated: ${mangaJSON.lastUpdated}`);
+    console.log(`   📅 Last chapter update: ${mangaJSON.lastChapterUpdate}`);
+    console.log(`   📱 Type: ${mangaJSON.manga.type}`);
+    console.log('\n💡 Views are managed by Cloudflare Worker (updated daily at 00:00 WIB)');
 }
 
 // ============================================
-// MAIN
+// CHANGE DETECTION (OLD vs NEW MANGA.JSON)
 // ============================================
 
-function main() {
-    const command = process.argv[2];
+// Chapter fields that are "metadata" for diff purposes - views are left out
+// on purpose, the Worker changes them all the time
+const CHAPTER_METADATA_DIFF_FIELDS = ['title', 'chapter', 'type', 'volume', 'notes', 'credits', 'extra', 'unlockAt'];
+
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Site URL, feed, notification settings... most of manga-config.json never
+// shows up in manga.json, so the site rebuild compares a hash of all of it
+function getConfigHash(config) {
+    return hashBytes(Buffer.from(JSON.stringify(config), 'utf8'));
+}
+
+function diffMangaData(oldMangaData, newMangaData, config) {
+    const firstTime = !oldMangaData || !oldMangaData.manga;
+    const oldManga = firstTime ? {} : oldMangaData.manga;
+    const oldChapters = (oldMangaData && oldMangaData.chapters) || {};
+    const newChapters = newMangaData.chapters;
     
-    console.log('╔════════════════════════════════════════╗');
-    console.log('║ MANGA AUTOMATION v7.0 - SIMPLIFIED    ║');
-    console.log('║ ✅ Cloudflare Worker Integration      ║');
-    console.log('║ ✅ WIB Timezone (GMT+7)               ║');
-    console.log('║ ✅ Manifest-based Detection           ║');
-    console.log('║ 🎯 Oneshot Support                    ║');
-    console.log('║ 🔒 Locked Chapters                     ║');
-    console.log('╚════════════════════════════════════════╝\n');
+    const changes = {
+        firstTime,
+        structural: false,
+        reasons: [],
+        manga: { changed: [] },
+        // manga.json from before configHash existed counts as unchanged
+        configChanged: !firstTime && oldMangaData.configHash !== undefined && oldMangaData.configHash !== newMangaData.configHash,
+        chapters: {
+            added: [],
+            removed: [],
+            locked: [],
+            unlocked: [],
+            pagesChanged: [],
+            dateChanged: [],
+            metadataChanged: []
+        }
+    };
     
-    switch (command) {
-        case 'generate':
-            commandGenerate();
-            break;
-        case 'cleanup':
-            commandCleanup();
-            break;
-        default:
-            console.log('Usage:');
-            console.log('  node manga-automation.js generate → Generate manga.json from chapter folders');
-            console.log('  node manga-automation.js cleanup  → Remove old pending files');
+    const mangaFields = new Set([...Object.keys(oldManga), ...Object.keys(newMangaData.manga)]);
+    mangaFields.forEach(field => {
+        if (field === 'views') return;
+        if (!firstTime && !isSameValue(oldManga[field], newMangaData.manga[field])) {
+            changes.manga.changed.push({ field, from: oldManga[field], to: newMangaData.manga[field] });
+        }
+    });
+    
+    const bySortValue = (a, b) => compareChapterNames(a, b, config);
+    
+    Object.keys(newChapters).sort(bySortValue).forEach(chapterName => {
+        const newChapter = newChapters[chapterName];
+        const oldChapter = oldChapters[chapterName];
+        
+        if (!oldChapter) {
+            changes.chapters.added.push(chapterName);
+            return;
+        }
+        
+        if (!oldChapter.locked && newChapter.locked) {
+            changes.chapters.locked.push(chapterName);
+        } else if (oldChapter.locked && !newChapter.locked) {
+            changes.chapters.unlocked.push(chapterName);
+        }
+        
+        if (oldChapter.totalPages !== newChapter.totalPages) {
+            changes.chapters.pagesChanged.push({ chapter: chapterName, from: oldChapter.totalPages, to: newChapter.totalPages });
+        }
+        
+        if (oldChapter.uploadDate !== newChapter.uploadDate) {
+            changes.chapters.dateChanged.push({ chapter: chapterName, from: oldChapter.uploadDate, to: newChapter.uploadDate });
+        }
+        
+        const changedFields = CHAPTER_METADATA_DIFF_FIELDS.filter(field => !isSameValue(oldChapter[field], newChapter[field]));
+        if (changedFields.length > 0) {
+            changes.chapters.metadataChanged.push({ chapter: chapterName, fields: changedFields });
+        }
+    });
+    
+    changes.chapters.removed = Object.keys(oldChapters)
+        .filter(chapterName => !newChapters[chapterName])
+        .sort(bySortValue);
+    
+    // Order matters: the first reason is what the rebuild trigger reports
+    const reasonChecks = [
+        ['first_time', firstTime],
+        ['chapters_added', changes.chapters.added.length > 0],
+        ['chapters_removed', changes.chapters.removed.length > 0],
+        ['chapters_unlocked', changes.chapters.unlocked.length > 0],
+        ['chapters_locked', changes.chapters.locked.length > 0],
+        ['pages_changed', changes.chapters.pagesChanged.length > 0],
+        ['manga_changed', changes.manga.changed.length > 0],
+        ['config_changed', changes.configChanged],
+        ['metadata_changed', changes.chapters.metadataChanged.length > 0],
+        ['dates_changed', changes.chapters.dateChanged.length > 0]
+    ];
+    changes.reasons = reasonChecks.filter(([, hit]) => hit).map(([reason]) => reason);
+    changes.structural = changes.reasons.length > 0;
+    
+    return changes;
+}
+
+function printChangeSummary(changes) {
+    console.log('\n🔍 Changes vs current manga.json:');
+    
+    if (changes.firstTime) {
+        console.log('   🆕 First-time generation');
+    }
+    if (!changes.structural) {
+        console.log('   ℹ️  No structural changes (views/lastUpdated only)');
+        return;
+    }
+    
+    const c = changes.chapters;
+    if (c.added.length > 0) console.log(`   ➕ Added: ${c.added.join(', ')}`);
+    if (c.removed.length > 0) console.log(`   ➖ Removed: ${c.removed.join(', ')}`);
+    if (c.unlocked.length > 0) console.log(`   🔓 Unlocked: ${c.unlocked.join(', ')}`);
+    if (c.locked.length > 0) console.log(`   🔒 Locked: ${c.locked.join(', ')}`);
+    c.pagesChanged.forEach(({ chapter, from, to }) => console.log(`   📄 ${chapter}: pages ${from} → ${to}`));
+    c.dateChanged.forEach(({ chapter, from, to }) => console.log(`   📅 ${chapter}: date ${from} → ${to}`));
+    c.metadataChanged.forEach(({ chapter, fields }) => console.log(`   📝 ${chapter}: ${fields.join(', ')} changed`));
+    changes.manga.changed.forEach(({ field }) => console.log(`   📚 manga.${field} changed`));
+    if (changes.configChanged) console.log('   ⚙️  manga-config.json changed');
+    
+    console.log(`   🏷️  Reasons: ${changes.reasons.join(', ')}`);
+}
+
+// ============================================
+// RELEASE HISTORY (chapter-history.json)
+// ============================================
+
+const HISTORY_FILE = 'chapter-history.json';
+const HISTORY_DEFAULT_LIMIT = 20;
+
+const HISTORY_EVENT_ICONS = {
+    added: '➕',
+    removed: '➖',
+    unlocked: '🔓',
+    locked: '🔒',
+    reuploaded: '📄'
+};
+
+// Turns a diffMangaData() result into history events, all stamped with the same run time
+function buildHistoryEvents(changes, mangaData, at) {
+    const events = [];
+    const c = changes.chapters;
+    
+    c.removed.forEach(chapter => events.push({ at, type: 'removed', chapter }));
+    c.added.forEach(chapter => {
+        const ch = mangaData.chapters[chapter];
+        events.push({ at, type: 'added', chapter, locked: ch.locked, pages: ch.totalPages });
+    });
+    c.unlocked.forEach(chapter => {
+        events.push({ at, type: 'unlocked', chapter, pages: mangaData.chapters[chapter].totalPages });
+    });
+    c.locked.forEach(chapter => events.push({ at, type: 'locked', chapter }));
+    c.pagesChanged.forEach(({ chapter, from, to }) => {
+        events.push({ at, type: 'reuploaded', chapter, from, to });
+    });
+    
+    return events;
+}
+
+// First run: one "added" event per existing chapter at its uploadDate, so the
+// history is not empty for chapters released before it existed
+function backfillHistoryEvents(mangaData) {
+    return Object.keys(mangaData.chapters)
+        .map(chapter => {
+            const ch = mangaData.chapters[chapter];
+            return { at: ch.uploadDate, type: 'added', chapter, locked: ch.locked, pages: ch.totalPages, backfilled: true };
+        })
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// The chapter-history.json this run should write: { history, message }, null
+// when there is nothing to add, false when the existing file is unusable
+function buildHistoryUpdate(changes, mangaData, rootDir = '.', now = new Date()) {
+    const historyPath = path.join(rootDir, HISTORY_FILE);
+    const history = loadJSON(historyPath);
+    const at = getWIBTimestamp(now);
+    if (history && !Array.isArray(history.events)) {
+        console.error(`❌ ${HISTORY_FILE} has no "events" array - not touching it`);
+        return false;
+    }
+    
+    let events;
+    let message;
+    if (!history) {
+        events = backfillHistoryEvents(mangaData);
+        // Chapters the diff reports as added are already covered by the backfill
+        const runEvents = buildHistoryEvents(changes, mangaData, at).filter(e => e.type !== 'added');
+        events.push(...runEvents);
+        message = `📜 ${HISTORY_FILE} created (${events.length} events, ${events.length - runEvents.length} backfilled)`;
+    } else {
+        const runEvents = buildHistoryEvents(changes, mangaData, at);
+        if (runEvents.length === 0) {
+            return null;
+        }
+        events = history.events.concat(runEvents);
+        message = `📜 ${HISTORY_FILE}: +${runEvents.length} event(s)`;
+    }
+    
+    return { history: { events }, message };
+}
+
+function appendHistory(changes, mangaData, rootDir = '.', now = new Date()) {
+    const update = buildHistoryUpdate(changes, mangaData, rootDir, now);
+    if (!update) {
+        return update !== false;
+    }
+    if (!saveJSON(path.join(rootDir, HISTORY_FILE), update.history)) {
+        return false;
+    }
+    console.log(update.message);
+    return true;
+}
+
+// ============================================
+// COMMAND 2: CLEANUP OLD FILES
+// ============================================
+
+function commandCleanup() {
+    console.log('🗑️  Cleaning up old pending files...\n');
+    
+    // Counts still in pending-views.json / pending-chapter-views.json are merged
+    // first; a file is only removed once its views are in manga.json + daily-views.json
+    // ⚠️ TIDAK HAPUS daily-views.json!
+    // File ini dibutuhkan untuk trending (updated by Cloudflare Worker)
+    if (!mergePendingViewFiles(false)) {
+        console.error('\n❌ Some pending files could not be merged and were kept - daily-views.json not compacted');
+        process.exit(1);
+    }
+    
+    // Check if daily-views.json exists
+    if (fs.existsSync('daily-views.json')) {
+        console.log(`ℹ️  daily-views.json kept (managed by Cloudflare Worker)`);
+        console.log('');
+        if (!compactViews(false)) {
+            console.error('\n❌ Compaction failed');
+            process.exit(1);
+        }
+    }
+    
+    console.log('\n✅ Cleanup complete');
+    console.log('💡 View tracking is now handled by Cloudflare Worker');
+}
+
+// ============================================
+// COMMAND 3: VALIDATE MANIFESTS
+// ============================================
+
+function getUnrecognisedManifestFolders(config, rootDir = '.') {
+    try {
+        return fs.readdirSync(rootDir, { withFileTypes: true })
+            .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+            .map(dirent => dirent.name)
+            .filter(name => !isChapterFolderName(name, config))
+            .filter(name => fs.existsSync(path.join(rootDir, name, 'manifest.json')));
+    } catch (error) {
+        return [];
+    }
+}
+
+// One { folder, errors, warnings } per chapter folder under rootDir
+function validateChapterManifests(config, rootDir = '.') {
+    return readChapterFolderNames(config, rootDir).map(folderName => {
+        const manifestPath = path.join(rootDir, folderName, 'manifest.json');
+        
+        if (!fs.existsSync(manifestPath)) {
+            return { folder: folderName, errors: ['manifest.json is missing'], warnings: [] };
+        }
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            return { folder: folderName, ...validateManifest(manifest, config) };
+        } catch (error) {
+            return { folder: folderName, errors: [`invalid JSON (${error.message})`], warnings: [] };
+        }
+    });
+}
+
+function commandValidate(rootDir = '.') {
+    console.log('🔎 Validating chapter manifests...\n');
+    
+    const config = loadCliConfig(rootDir);
+    const folders = getChapterFolders(config, rootDir);
+    const results = validateChapterManifests(config, rootDir);
+    let errorCount = 0;
+    let warningCount = 0;
+    let failedFiles = 0;
+    
+    console.log('');
+    
+    results.forEach(result => {
+        const manifestPath = path.join(result.folder, 'manifest.json');
+        
+        if (result.errors.length > 0) {
+            failedFiles++;
+            console.log(`❌ ${manifestPath}`);
+        } else {
+            console.log(`✅ ${manifestPath}`);
+        }
+        result.errors.forEach(error => console.log(`   - ${error}`));
+        result.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+        
+        errorCount += result.errors.length;
+        warningCount += result.warnings.length;
+    });
+    
+    getUnrecognisedManifestFolders(config, rootDir).forEach(folderName => {
+        console.log(`⚠️  ${path.join(folderName, 'manifest.json')}`);
+        console.log('   ⚠️  folder name is not a chapter (number, "oneshot" or specialChapters) - ignored by generate');
+        warningCount++;
+    });
+    
+    console.log(`\n📊 ${folders.length} manifest(s) checked: ${errorCount} error(s), ${warningCount} warning(s)`);
+    
+    if (failedFiles > 0) {
+        console.log(`❌ Validation failed for ${failedFiles} manifest(s)`);
+        process.exit(1);
+    }
+    
+    console.log('✅ All manifests valid');
+}
+
+// ============================================
+// COMMAND 4: SCHEDULED UNLOCKS
+// ============================================
+
+function commandUnlock() {
+    console.log('⏰ Checking scheduled unlocks...\n');
+    
+    const config = loadCliConfig();
+    const mangaData = loadJSON('manga.json');
+    const now = new Date();
+    
+    const scheduled = getLockedChapterEntries(config).filter(entry => entry.unlockAt);
+    if (scheduled.length === 0) {
+        console.log('ℹ️  No scheduled unlocks in manga-config.json');
+        return;
+    }
+    
+    const awaitingUpload = scheduled.filter(entry => isChapterAwaitingUpload(entry.chapter, config, '.', now));
+    const newlyUnlocked = scheduled.filter(entry => {
+        const chapter = mangaData && mangaData.chapters && mangaData.chapters[entry.chapter];
+        return chapter && chapter.locked && !awaitingUpload.includes(entry) && !isChapterLocked(entry.chapter, config, now);
+    });
+    
+    scheduled.forEach(entry => {
+        const isDue = newlyUnlocked.includes(entry);
+        const icon = isDue ? '🔓' : (awaitingUpload.includes(entry) ? '⏳' : (isChapterLocked(entry.chapter, config, now) ? '🔒' : '✅'));
+        const note = awaitingUpload.includes(entry) ? ' (no manifest.json yet - stays locked)' : '';
+        console.log(`   ${icon} ${entry.chapter} - unlockAt ${entry.unlockAt}${note}`);
+    });
+    
+    if (newlyUnlocked.length === 0) {
+        console.log('\nℹ️  Nothing to unlock right now');
+        return;
+    }
+    
+    console.log(`\n🔓 Newly unlocked: ${newlyUnlocked.map(entry => entry.chapter).join(', ')}\n`);
+    commandGenerate();
+}
+
+// ============================================
+// COMMAND 5: ATOM / RSS FEED
+// ============================================
+
+const FEED_DEFAULT_LIMIT = 20;
+
+function escapeXml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// RFC 822 date in WIB, e.g. "Wed, 25 Feb 2026 21:44:45 +0700"
+function toRFC822WIB(isoString) {
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const wib = new Date(new Date(isoString).getTime() + 7 * 60 * 60 * 1000);
+    const pad = n => String(n).padStart(2, '0');
+    
+    return `${days[wib.getUTCDay()]}, ${pad(wib.getUTCDate())} ${months[wib.getUTCMonth()]} ${wib.getUTCFullYear()} ` +
+        `${pad(wib.getUTCHours())}:${pad(wib.getUTCMinutes())}:${pad(wib.getUTCSeconds())} +0700`;
+}
+
+function getFeedChapters(mangaData, config) {
+    const feedConfig = config.feed || {};
+    const limit = feedConfig.limit || FEED_DEFAULT_LIMIT;
+    
+    return Object.values(mangaData.chapters || {})
+        .filter(chapter => feedConfig.includeLocked || !chapter.locked)
+        .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))
+        .slice(0, limit);
+}
+
+function getFeedEntryTitle(mangaData, chapter) {
+    const lockPrefix = chapter.locked ? '🔒 ' : '';
+    return `${lockPrefix}${mangaData.manga.title} - ${chapter.title}`;
+}
+
+function getFeedEntrySummary(chapter) {
+    const parts = [`${chapter.title} (${chapter.totalPages} pages)`];
+    if (chapter.locked) {
+        parts.push(chapter.unlockAt ? `Locked until ${chapter.unlockAt}` : 'Locked');
+    }
+    if (chapter.notes) {
+        parts.push(chapter.notes);
+    }
+    return parts.join(' - ');
+}
+
+function buildAtomFeed(mangaData, config, chapters) {
+    const manga = mangaData.manga;
+    const updated = chapters.length > 0 ? chapters[0].uploadDate : mangaData.lastChapterUpdate;
+    const feedId = `urn:uuid:${getStableUuid(`${config.repoOwner}/${config.repoName}/feed`)}`;
+    
+    const entries = chapters.map(chapter => [
+        '  <entry>',
+        `    <id>${getChapterGuid(config, chapter.folder)}</id>`,
+        `    <title>${escapeXml(getFeedEntryTitle(mangaData, chapter))}</title>`,
+        `    <link rel="alternate" href="${escapeXml(getChapterUrl(config, chapter.folder))}"/>`,
+        `    <published>${escapeXml(chapter.uploadDate)}</published>`,
+        `    <updated>${escapeXml(chapter.uploadDate)}</updated>`,
+        `    <summary>${escapeXml(getFeedEntrySummary(chapter))}</summary>`,
+        chapter.locked ? '    <category term="locked"/>' : null,
+        '  </entry>'
+    ].filter(line => line !== null).join('\n'));
+    
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${feedId}</id>`,
+        `  <title>${escapeXml(manga.title)}</title>`,
+        `  <subtitle>${escapeXml(manga.description)}</subtitle>`,
+        `  <link rel="alternate" href="${escapeXml(getSeriesUrl(config))}"/>`,
+        `  <link rel="self" href="${escapeXml(manga.repoUrl + 'feed.xml')}"/>`,
+        `  <updated>${escapeXml(updated)}</updated>`,
+        `  <author><name>${escapeXml(manga.author)}</name></author>`,
+        manga.cover ? `  <logo>${escapeXml(manga.cover)}</logo>` : null,
+        ...entries,
+        '</feed>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function buildRssFeed(mangaData, config, chapters) {
+    const manga = mangaData.manga;
+    const updated = chapters.length > 0 ? chapters[0].uploadDate : mangaData.lastChapterUpdate;
+    const seriesUrl = getSeriesUrl(config);
+    
+    const items = chapters.map(chapter => [
+        '    <item>',
+        `      <title>${escapeXml(getFeedEntryTitle(mangaData, chapter))}</title>`,
+        `      <link>${escapeXml(getChapterUrl(config, chapter.folder))}</link>`,
+        `      <guid isPermaLink="false">${getChapterGuid(config, chapter.folder)}</guid>`,
+        `      <pubDate>${toRFC822WIB(chapter.uploadDate)}</pubDate>`,
+        `      <description>${escapeXml(getFeedEntrySummary(chapter))}</description>`,
+        chapter.locked ? '      <category>locked</category>' : null,
+        '    </item>'
+    ].filter(line => line !== null).join('\n'));
+    
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(manga.title)}</title>`,
+        `    <link>${escapeXml(seriesUrl)}</link>`,
+        `    <description>${escapeXml(manga.description)}</description>`,
+        `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(manga.repoUrl + 'rss.xml')}"/>`,
+        `    <lastBuildDate>${toRFC822WIB(updated)}</lastBuildDate>`,
+        ...(manga.cover ? [
+            '    <image>',
+            `      <url>${escapeXml(manga.cover)}</url>`,
+            `      <title>${escapeXml(manga.title)}</title>`,
+            `      <link>${escapeXml(seriesUrl)}</link>`,
+            '    </image>'
+        ] : []),
+        ...items,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function writeFeeds(mangaData, config, rootDir = '.') {
+    const chapters = getFeedChapters(mangaData, config);
+    
+    try {
+        fs.writeFileSync(path.join(rootDir, 'feed.xml'), buildAtomFeed(mangaData, config, chapters), 'utf8');
+        fs.writeFileSync(path.join(rootDir, 'rss.xml'), buildRssFeed(mangaData, config, chapters), 'utf8');
+    } catch (error) {
+        console.error('❌ Error writing feeds:', error.message);
+        return false;
+    }
+    
+    console.log(`📰 feed.xml + rss.xml written (${chapters.length} chapter(s))`);
+    return true;
+}
+
+function commandFeed() {
+    console.log('📰 Generating feeds...\n');
+    
+    const config = loadCliConfig();
+    const mangaData = loadJSON('manga.json');
+    
+    if (!mangaData || !mangaData.manga) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    if (!writeFeeds(mangaData, config)) {
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 6: VIEWS ANALYTICS
+// ============================================
+
+const TRENDING_HALF_LIFE_DAYS = 7;
+
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function getGrowth(current, previous) {
+    if (previous === 0) {
+        return current === 0 ? 0 : null;
+    }
+    return roundTo((current - previous) / previous, 3);
+}
+
+// Turns { date: count } into windowed totals, growth, decayed score and peak day.
+// rolledUpTotal adds views already compacted into weekly/monthly records.
+function summariseDailySeries(series, referenceDate, rolledUpTotal = 0) {
+    const sumBetween = (fromOffset, toOffset) => {
+        let total = 0;
+        for (let offset = fromOffset; offset <= toOffset; offset++) {
+            total += series[addDays(referenceDate, -offset)] || 0;
+        }
+        return total;
+    };
+    
+    let total = rolledUpTotal;
+    let trendingScore = 0;
+    let peakDay = null;
+    
+    Object.entries(series).forEach(([date, views]) => {
+        total += views;
+        
+        const age = (new Date(`${referenceDate}T00:00:00Z`) - new Date(`${date}T00:00:00Z`)) / 86400000;
+        if (age >= 0) {
+            trendingScore += views * Math.pow(0.5, age / TRENDING_HALF_LIFE_DAYS);
+        }
+        
+        if (!peakDay || views > peakDay.views) {
+            peakDay = { date, views };
+        }
+    });
+    
+    const last7Days = sumBetween(0, 6);
+    const prev7Days = sumBetween(7, 13);
+    
+    return {
+        total,
+        last7Days,
+        prev7Days,
+        last30Days: sumBetween(0, 29),
+        weekOverWeekGrowth: getGrowth(last7Days, prev7Days),
+        trendingScore: roundTo(trendingScore, 2),
+        peakDay
+    };
+}
+
+function buildStats(dailyViews, mangaData, referenceDate, config) {
+    const records = (dailyViews && dailyViews.dailyRecords) || {};
+    const dates = Object.keys(records).sort();
+    
+    const mangaSeries = {};
+    const chapterSeries = {};
+    
+    dates.forEach(date => {
+        const record = records[date] || {};
+        mangaSeries[date] = record.manga || 0;
+        
+        Object.entries(record.chapters || {}).forEach(([chapterName, views]) => {
+            chapterSeries[chapterName] = chapterSeries[chapterName] || {};
+            chapterSeries[chapterName][date] = (chapterSeries[chapterName][date] || 0) + views;
+        });
+    });
+    
+    // Chapters known to manga.json or seen in the view records, in reading order
+    const chapterNames = Array.from(new Set([
+        ...Object.keys((mangaData && mangaData.chapters) || {}),
+        ...Object.keys(chapterSeries),
+        ...Object.keys(sumViewRecords(dailyViews || {}).chapters)
+    ])).sort((a, b) => compareChapterNames(a, b, config));
+    
+    const rolledUp = sumViewRecords({
+        weeklyRecords: dailyViews && dailyViews.weeklyRecords,
+        monthlyRecords: dailyViews && dailyViews.monthlyRecords
+    });
+    
+    const chapters = {};
+    chapterNames.forEach(chapterName => {
+        chapters[chapterName] = summariseDailySeries(chapterSeries[chapterName] || {}, referenceDate, rolledUp.chapters[chapterName] || 0);
+    });
+    
+    // Retention: readers of chapter N that went on to N+1 (approximated by view ratio)
+    const retention = [];
+    for (let i = 0; i < chapterNames.length - 1; i++) {
+        const from = chapterNames[i];
+        const to = chapterNames[i + 1];
+        const fromViews = chapters[from].total;
+        const rate = fromViews > 0 ? roundTo(chapters[to].total / fromViews, 3) : null;
+        
+        retention.push({ from, to, rate });
+        chapters[from].retention = { next: to, rate };
+    }
+    
+    const trending = chapterNames
+        .filter(chapterName => chapters[chapterName].trendingScore > 0)
+        .sort((a, b) => chapters[b].trendingScore - chapters[a].trendingScore);
+    
+    return {
+        referenceDate,
+        firstRecordDate: dates[0] || null,
+        lastRecordDate: dates[dates.length - 1] || null,
+        manga: summariseDailySeries(mangaSeries, referenceDate, rolledUp.manga),
+        trending,
+        retention,
+        chapters
+    };
+}
+
+function commandStats(rootDir = '.') {
+    console.log('📈 Generating stats.json...\n');
+    
+    // A new series has no views yet - nothing to do, and nothing to block the workflow
+    if (!fs.existsSync(path.join(rootDir, 'daily-views.json'))) {
+        console.log('ℹ️  No daily-views.json yet - skipping stats');
+        return;
+    }
+    
+    const dailyViews = loadJSON(path.join(rootDir, 'daily-views.json'));
+    const mangaData = loadJSON(path.join(rootDir, 'manga.json'));
+    
+    if (!dailyViews || !dailyViews.dailyRecords) {
+        console.error('❌ daily-views.json is unreadable or has no dailyRecords');
+        process.exit(1);
+    }
+    
+    const referenceDate = getOption('date') || getWIBDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(referenceDate)) {
+        console.error(`❌ --date must be YYYY-MM-DD (got ${referenceDate})`);
+        process.exit(1);
+    }
+    
+    const stats = buildStats(dailyViews, mangaData, referenceDate, loadJSON(path.join(rootDir, SERIES_CONFIG_FILE)));
+    
+    if (!saveJSON(path.join(rootDir, 'stats.json'), stats)) {
+        process.exit(1);
+    }
+    
+    const formatGrowth = growth => growth === null ? 'n/a' : `${growth >= 0 ? '+' : ''}${Math.round(growth * 100)}%`;
+    
+    console.log(`✅ stats.json generated (reference date ${referenceDate} WIB)`);
+    console.log(`   📅 Records: ${stats.firstRecordDate} → ${stats.lastRecordDate}`);
+    console.log(`   👁️  Manga: ${stats.manga.last7Days} (7d), ${stats.manga.last30Days} (30d), ${formatGrowth(stats.manga.weekOverWeekGrowth)} week-over-week`);
+    if (stats.manga.peakDay) {
+        console.log(`   🏔️  Peak day: ${stats.manga.peakDay.date} (${stats.manga.peakDay.views} views)`);
+    }
+    if (stats.trending.length > 0) {
+        console.log(`   🔥 Trending: ${stats.trending.slice(0, 5).join(', ')}`);
+    }
+}
+
+// ============================================
+// COMMAND 7: COMPACT DAILY VIEWS
+// ============================================
+
+const DEFAULT_VIEWS_RETENTION = {
+    dailyDays: 90,
+    weeklyWeeks: 26
+};
+
+const VIEW_RECORD_TIERS = ['dailyRecords', 'weeklyRecords', 'monthlyRecords'];
+
+// Monday of the week containing dateStr
+function getWeekStart(dateStr) {
+    const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return addDays(dateStr, -((weekday + 6) % 7));
+}
+
+function addViewRecord(target, record) {
+    target.manga = (target.manga || 0) + (record.manga || 0);
+    target.chapters = target.chapters || {};
+    
+    Object.entries(record.chapters || {}).forEach(([chapterName, views]) => {
+        target.chapters[chapterName] = (target.chapters[chapterName] || 0) + views;
+    });
+    return target;
+}
+
+// Totals across every tier (daily + weekly + monthly) present in data
+function sumViewRecords(data) {
+    const totals = { manga: 0, chapters: {} };
+    
+    VIEW_RECORD_TIERS.forEach(tier => {
+        Object.values(data[tier] || {}).forEach(record => addViewRecord(totals, record || {}));
+    });
+    return totals;
+}
+
+function sortRecordKeys(records) {
+    const sorted = {};
+    Object.keys(records).sort().forEach(key => {
+        sorted[key] = records[key];
+    });
+    return sorted;
+}
+
+// Pure: returns a compacted copy plus what moved. Days older than dailyDays
+// roll into their week (keyed by Monday), weeks older than weeklyWeeks roll
+// into the month of their Monday.
+function compactDailyViews(dailyViews, referenceDate, policy) {
+    const data = JSON.parse(JSON.stringify(dailyViews));
+    data.dailyRecords = data.dailyRecords || {};
+    data.weeklyRecords = data.weeklyRecords || {};
+    data.monthlyRecords = data.monthlyRecords || {};
+    
+    const dailyCutoff = addDays(referenceDate, -policy.dailyDays);
+    const weeklyCutoff = getWeekStart(addDays(referenceDate, -policy.weeklyWeeks * 7));
+    const movedDays = [];
+    const movedWeeks = [];
+    
+    Object.keys(data.dailyRecords).sort().forEach(date => {
+        if (date >= dailyCutoff) return;
+        
+        const weekStart = getWeekStart(date);
+        data.weeklyRecords[weekStart] = addViewRecord(data.weeklyRecords[weekStart] || {}, data.dailyRecords[date]);
+        delete data.dailyRecords[date];
+        movedDays.push(date);
+    });
+    
+    Object.keys(data.weeklyRecords).sort().forEach(weekStart => {
+        if (weekStart >= weeklyCutoff) return;
+        
+        const month = weekStart.slice(0, 7);
+        data.monthlyRecords[month] = addViewRecord(data.monthlyRecords[month] || {}, data.weeklyRecords[weekStart]);
+        delete data.weeklyRecords[weekStart];
+        movedWeeks.push(weekStart);
+    });
+    
+    data.dailyRecords = sortRecordKeys(data.dailyRecords);
+    data.weeklyRecords = sortRecordKeys(data.weeklyRecords);
+    data.monthlyRecords = sortRecordKeys(data.monthlyRecords);
+    
+    return { data, movedDays, movedWeeks };
+}
+
+function compareViewTotals(before, after) {
+    const mismatches = [];
+    
+    if (before.manga !== after.manga) {
+        mismatches.push(`manga: ${before.manga} → ${after.manga}`);
+    }
+    
+    const chapterNames = new Set([...Object.keys(before.chapters), ...Object.keys(after.chapters)]);
+    chapterNames.forEach(chapterName => {
+        const beforeViews = before.chapters[chapterName] || 0;
+        const afterViews = after.chapters[chapterName] || 0;
+        if (beforeViews !== afterViews) {
+            mismatches.push(`chapter ${chapterName}: ${beforeViews} → ${afterViews}`);
+        }
+    });
+    
+    return mismatches;
+}
+
+// Record totals can't exceed the counters - the counters also hold views from
+// before daily tracking started, so they are usually higher
+function checkTotalsAgainstCounters(totals, mangaData) {
+    if (!mangaData || !mangaData.manga) {
+        console.log('ℹ️  manga.json not found - skipping counter check');
+        return;
+    }
+    
+    const counterIssues = [];
+    if (totals.manga > (mangaData.manga.views || 0)) {
+        counterIssues.push(`manga: records ${totals.manga} > counter ${mangaData.manga.views || 0}`);
+    }
+    Object.entries(totals.chapters).forEach(([chapterName, views]) => {
+        const chapter = mangaData.chapters && mangaData.chapters[chapterName];
+        const counter = chapter ? (chapter.views || 0) : 0;
+        if (views > counter) {
+            counterIssues.push(`chapter ${chapterName}: records ${views} > counter ${counter}`);
+        }
+    });
+    
+    console.log(`👁️  Records total ${totals.manga} vs manga.json counter ${mangaData.manga.views || 0}`);
+    if (counterIssues.length > 0) {
+        console.warn('⚠️  View records exceed manga.json counters:');
+        counterIssues.forEach(issue => console.warn(`   - ${issue}`));
+    } else {
+        console.log('✅ Rolled-up totals are consistent with manga.json counters');
+    }
+}
+
+function getViewsRetentionPolicy(config) {
+    const configured = (config && config.viewsRetention) || {};
+    const policy = { ...DEFAULT_VIEWS_RETENTION, ...configured };
+    
+    const dailyDays = getOption('daily-days');
+    const weeklyWeeks = getOption('weekly-weeks');
+    if (dailyDays !== null) policy.dailyDays = parseInt(dailyDays, 10);
+    if (weeklyWeeks !== null) policy.weeklyWeeks = parseInt(weeklyWeeks, 10);
+    
+    return policy;
+}
+
+function compactViews(dryRun) {
+    const dailyViews = loadJSON('daily-views.json');
+    if (!dailyViews || !dailyViews.dailyRecords) {
+        console.log('ℹ️  daily-views.json not found or empty - nothing to compact');
+        return true;
+    }
+    
+    const policy = getViewsRetentionPolicy(loadJSON('manga-config.json'));
+    if (!(policy.dailyDays >= 1) || !(policy.weeklyWeeks >= 1)) {
+        console.error('❌ Retention windows must be positive numbers');
+        return false;
+    }
+    
+    const referenceDate = getWIBDate();
+    const { data, movedDays, movedWeeks } = compactDailyViews(dailyViews, referenceDate, policy);
+    
+    console.log(`📦 Compacting daily-views.json (keep ${policy.dailyDays} days daily, ${policy.weeklyWeeks} weeks weekly)`);
+    
+    const before = sumViewRecords(dailyViews);
+    const after = sumViewRecords(data);
+    const mismatches = compareViewTotals(before, after);
+    
+    if (mismatches.length > 0) {
+        console.error('❌ Rollup changed totals - daily-views.json NOT written:');
+        mismatches.forEach(mismatch => console.error(`   - ${mismatch}`));
+        return false;
+    }
+    
+    checkTotalsAgainstCounters(after, loadJSON('manga.json'));
+    
+    if (movedDays.length === 0 && movedWeeks.length === 0) {
+        console.log('✅ Nothing old enough to roll up');
+        return true;
+    }
+    
+    console.log(`   📅 ${movedDays.length} day(s) → weekly${movedDays.length > 0 ? ` (${movedDays[0]} … ${movedDays[movedDays.length - 1]})` : ''}`);
+    console.log(`   🗓️  ${movedWeeks.length} week(s) → monthly`);
+    
+    if (dryRun) {
+        console.log('🧪 Dry run - daily-views.json not written');
+        return true;
+    }
+    
+    data.lastCleanup = new Date().toISOString();
+    if (!saveJSON('daily-views.json', data)) {
+        return false;
+    }
+    console.log('✅ daily-views.json compacted');
+    return true;
+}
+
+function commandCompactViews() {
+    console.log('📦 Compacting view records...\n');
+    
+    if (!compactViews(hasFlag('dry-run'))) {
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 8: RECONCILE VIEW COUNTERS
+// ============================================
+
+// JSON.parse silently keeps the last of two identical keys, so duplicated
+// chapter entries inside one day (a Worker write bug) have to be found in the raw text
+function findDuplicateDailyKeys(rawText) {
+    const duplicates = [];
+    const recordPattern = /"(\d{4}-\d{2}-\d{2})"\s*:\s*\{[^{}]*"chapters"\s*:\s*\{([^{}]*)\}/g;
+    let recordMatch;
+    
+    while ((recordMatch = recordPattern.exec(rawText)) !== null) {
+        const [, date, chaptersText] = recordMatch;
+        const seen = new Set();
+        const keyPattern = /"([^"]+)"\s*:/g;
+        let keyMatch;
+        
+        while ((keyMatch = keyPattern.exec(chaptersText)) !== null) {
+            if (seen.has(keyMatch[1])) {
+                duplicates.push({ date, chapter: keyMatch[1] });
+            }
+            seen.add(keyMatch[1]);
+        }
+    }
+    return duplicates;
+}
+
+function reconcileViews(mangaData, dailyViews, rawDailyText, config) {
+    const chapterIssues = [];
+    const dayIssues = [];
+    const summary = [];
+    
+    const chapters = mangaData.chapters || {};
+    const mangaCounter = mangaData.manga.views || 0;
+    const chapterCounterSum = Object.values(chapters).reduce((sum, ch) => sum + (ch.views || 0), 0);
+    const recordTotals = sumViewRecords(dailyViews);
+    
+    summary.push(`manga.json: manga ${mangaCounter}, sum of chapters ${chapterCounterSum} (${chapterCounterSum - mangaCounter >= 0 ? '+' : ''}${chapterCounterSum - mangaCounter})`);
+    summary.push(`daily-views.json: manga ${recordTotals.manga}, sum of chapters ${Object.values(recordTotals.chapters).reduce((a, b) => a + b, 0)}`);
+    
+    if (recordTotals.manga > mangaCounter) {
+        summary.push(`⚠️  manga counter ${mangaCounter} is lower than recorded views ${recordTotals.manga}`);
+    }
+    
+    // Per chapter
+    const chapterNames = Array.from(new Set([...Object.keys(chapters), ...Object.keys(recordTotals.chapters)]))
+        .sort((a, b) => compareChapterNames(a, b, config));
+    
+    chapterNames.forEach(chapterName => {
+        const counter = chapters[chapterName] ? (chapters[chapterName].views || 0) : null;
+        const recorded = recordTotals.chapters[chapterName] || 0;
+        
+        if (counter === null) {
+            chapterIssues.push({ chapter: chapterName, counter, recorded, issue: 'in daily-views.json but not in manga.json' });
+        } else if (recorded > counter) {
+            chapterIssues.push({ chapter: chapterName, counter, recorded, issue: `counter is ${recorded - counter} below recorded views` });
+        } else if (recorded < counter) {
+            chapterIssues.push({ chapter: chapterName, counter, recorded, issue: `counter is ${counter - recorded} above recorded views (pre-tracking or lost records)`, info: true });
+        }
+    });
+    
+    // Per day
+    Object.entries(dailyViews.dailyRecords || {}).sort().forEach(([date, record]) => {
+        const values = [record.manga, ...Object.values(record.chapters || {})];
+        if (values.some(value => value !== undefined && (!Number.isInteger(value) || value < 0))) {
+            dayIssues.push({ date, issue: 'contains a non-integer or negative count' });
+        }
+    });
+    
+    findDuplicateDailyKeys(rawDailyText).forEach(({ date, chapter }) => {
+        dayIssues.push({ date, issue: `chapter ${chapter} listed twice (only the last count survives parsing)` });
+    });
+    
+    return { summary, chapterIssues, dayIssues, recordTotals };
+}
+
+function rebuildCounters(mangaData, recordTotals) {
+    const changes = [];
+    
+    if ((mangaData.manga.views || 0) !== recordTotals.manga) {
+        changes.push({ target: 'manga', from: mangaData.manga.views || 0, to: recordTotals.manga });
+        mangaData.manga.views = recordTotals.manga;
+    }
+    
+    Object.entries(mangaData.chapters || {}).forEach(([chapterName, chapter]) => {
+        const recorded = recordTotals.chapters[chapterName] || 0;
+        if ((chapter.views || 0) !== recorded) {
+            changes.push({ target: `chapter ${chapterName}`, from: chapter.views || 0, to: recorded });
+            chapter.views = recorded;
+        }
+    });
+    
+    return changes;
+}
+
+function commandReconcile(rootDir = '.') {
+    console.log('🧮 Reconciling view counters...\n');
+    
+    const mangaData = loadJSON(path.join(rootDir, 'manga.json'));
+    const dailyPath = path.join(rootDir, 'daily-views.json');
+    if (!mangaData || !mangaData.manga) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    if (!fs.existsSync(dailyPath)) {
+        console.error('❌ daily-views.json not found');
+        process.exit(1);
+    }
+    
+    const rawDailyText = fs.readFileSync(dailyPath, 'utf8');
+    const dailyViews = loadJSON(dailyPath);
+    if (!dailyViews) {
+        process.exit(1);
+    }
+    
+    const { summary, chapterIssues, dayIssues, recordTotals } = reconcileViews(mangaData, dailyViews, rawDailyText, loadJSON(path.join(rootDir, SERIES_CONFIG_FILE)));
+    
+    summary.forEach(line => console.log(`📊 ${line}`));
+    
+    console.log(`\n📖 Per chapter (${chapterIssues.length} difference(s)):`);
+    if (chapterIssues.length === 0) {
+        console.log('   ✅ Counters match recorded views');
+    }
+    chapterIssues.forEach(({ chapter, counter, recorded, issue, info }) => {
+        console.log(`   ${info ? 'ℹ️ ' : '⚠️ '} ${chapter}: counter ${counter === null ? '-' : counter}, recorded ${recorded} - ${issue}`);
+    });
+    
+    console.log(`\n📅 Per day (${dayIssues.length} problem(s)):`);
+    if (dayIssues.length === 0) {
+        console.log('   ✅ No problems in daily records');
+    }
+    dayIssues.forEach(({ date, issue }) => console.log(`   ⚠️  ${date}: ${issue}`));
+    
+    if (!hasFlag('rebuild')) {
+        console.log('\n💡 Use --rebuild [--dry-run] to reset counters from daily-views.json');
+        return;
+    }
+    
+    const changes = rebuildCounters(mangaData, recordTotals);
+    
+    console.log(`\n🔧 Rebuild diff (${changes.length} change(s)):`);
+    changes.forEach(({ target, from, to }) => {
+        const icon = to < from ? '⬇️ ' : '⬆️ ';
+        console.log(`   ${icon} ${target}: ${from} → ${to}`);
+    });
+    
+    if (changes.length === 0) {
+        console.log('   ✅ Nothing to change');
+        return;
+    }
+    
+    if (hasFlag('dry-run')) {
+        console.log('\n🧪 Dry run - manga.json not written');
+        return;
+    }
+    
+    const decreases = changes.filter(change => change.to < change.from);
+    if (decreases.length > 0 && !hasFlag('allow-decrease')) {
+        console.error(`\n❌ ${decreases.length} counter(s) would go down (views from before daily tracking would be lost)`);
+        console.error('   Re-run with --allow-decrease to write anyway');
+        process.exit(1);
+    }
+    
+    if (!saveJSON('manga.json', mangaData)) {
+        process.exit(1);
+    }
+    console.log('\n✅ manga.json counters rebuilt from daily-views.json');
+}
+
+// ============================================
+// COMMAND 9: UPLOAD DATES
+// ============================================
+
+function printUploadDates(ledger, mangaData, config) {
+    const names = Object.keys(ledger.chapters).sort((a, b) => compareChapterNames(a, b, config));
+    if (names.length === 0) {
+        console.log(`ℹ️  ${UPLOAD_DATES_FILE} has no entries yet - run generate first`);
+        return;
+    }
+    
+    names.forEach(name => {
+        const entry = ledger.chapters[name];
+        const icon = entry.source === 'pinned' ? '📌' : (entry.source === 'placeholder' ? '⏳' : '📅');
+        const known = mangaData && mangaData.chapters && mangaData.chapters[name];
+        const note = known ? '' : ' (not in manga.json)';
+        console.log(`   ${icon} ${name.padEnd(10)} ${entry.uploadDate}  ${entry.source} - ${UPLOAD_DATE_SOURCES[entry.source] || 'unknown source'}${note}`);
+    });
+}
+
+function commandDates(rootDir = '.') {
+    const action = process.argv[3] || 'list';
+    const chapterName = process.argv[4];
+    
+    const { ledger, created } = loadUploadDates(rootDir);
+    const mangaData = loadJSON(path.join(rootDir, 'manga.json'));
+    const config = loadJSON(path.join(rootDir, SERIES_CONFIG_FILE)) || {};
+    
+    if (action === 'list') {
+        console.log(`📅 Upload dates (${UPLOAD_DATES_FILE})\n`);
+        printUploadDates(ledger, mangaData, config);
+        return;
+    }
+    
+    if (action !== 'pin' && action !== 'reset') {
+        console.error(`❌ Unknown dates action "${action}" (use list, pin or reset)`);
+        process.exit(1);
+    }
+    
+    if (!chapterName) {
+        console.error(`❌ Usage: node manga-automation.js dates ${action} <chapter>${action === 'pin' ? ' <date>' : ''}`);
+        process.exit(1);
+    }
+    
+    const knownChapter = (mangaData && mangaData.chapters && mangaData.chapters[chapterName]) ||
+        ledger.chapters[chapterName] || checkIfFolderExists(chapterName, rootDir);
+    if (!knownChapter) {
+        console.error(`❌ Unknown chapter "${chapterName}" - not in manga.json, ${UPLOAD_DATES_FILE} or the chapter folders`);
+        process.exit(1);
+    }
+    
+    if (created) {
+        console.error(`❌ ${UPLOAD_DATES_FILE} does not exist yet - run generate once so existing dates get backfilled`);
+        process.exit(1);
+    }
+    
+    const previous = ledger.chapters[chapterName];
+    
+    if (action === 'pin') {
+        const date = parseWIBDateTime(process.argv[5]);
+        if (!date) {
+            console.error('❌ Date must look like "2026-03-20" or "2026-03-20 19:00" (WIB)');
+            process.exit(1);
+        }
+        
+        ledger.chapters[chapterName] = {
+            uploadDate: convertToWIB(date.toISOString()),
+            source: 'pinned',
+            recordedAt: getWIBTimestamp()
+        };
+        console.log(`📌 ${chapterName}: ${previous ? previous.uploadDate : '(none)'} → ${ledger.chapters[chapterName].uploadDate}`);
+    } else {
+        if (!previous) {
+            console.log(`ℹ️  ${chapterName} has no entry in ${UPLOAD_DATES_FILE}`);
+            return;
+        }
+        delete ledger.chapters[chapterName];
+        console.log(`🔄 ${chapterName}: removed ${previous.uploadDate} (${previous.source}) - next generate detects it again from git`);
+    }
+    
+    if (!saveUploadDates(ledger, config, rootDir)) {
+        process.exit(1);
+    }
+    console.log('\n💡 Run "node manga-automation.js generate" (or push) to apply it to manga.json');
+}
+
+// ============================================
+// COMMAND 10: RELEASE HISTORY
+// ============================================
+
+function describeHistoryEvent(event) {
+    switch (event.type) {
+        case 'added':
+            return `added${event.locked ? ' (locked)' : ''} - ${event.pages} pages${event.backfilled ? ' [backfilled]' : ''}`;
+        case 'unlocked':
+            return `unlocked - ${event.pages} pages`;
+        case 'reuploaded':
+            return `re-uploaded - pages ${event.from} → ${event.to}`;
+        default:
+            return event.type;
+    }
+}
+
+function commandHistory() {
+    const history = loadJSON(HISTORY_FILE);
+    if (!history || !Array.isArray(history.events)) {
+        console.log(`ℹ️  No ${HISTORY_FILE} yet - it is created by the next generate`);
+        return;
+    }
+    
+    const chapterFilter = getOption('chapter');
+    const limitOption = getOption('limit');
+    const limit = limitOption === null ? HISTORY_DEFAULT_LIMIT : parseInt(limitOption, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+        console.error('❌ --limit must be a positive integer');
+        process.exit(1);
+    }
+    
+    // Newest first; events of one run keep their order
+    const events = history.events
+        .map((event, index) => ({ event, index }))
+        .filter(({ event }) => !chapterFilter || event.chapter === chapterFilter)
+        .sort((a, b) => (new Date(b.event.at) - new Date(a.event.at)) || (b.index - a.index))
+        .map(({ event }) => event);
+    
+    const title = chapterFilter ? `chapter ${chapterFilter}` : 'all chapters';
+    console.log(`📜 Release history - ${title} (${Math.min(limit, events.length)} of ${events.length} events)\n`);
+    
+    if (events.length === 0) {
+        console.log('   (no events)');
+        return;
+    }
+    
+    events.slice(0, limit).forEach(event => {
+        const icon = HISTORY_EVENT_ICONS[event.type] || '•';
+        console.log(`   ${event.at.replace('T', ' ').slice(0, 16)}  ${icon} ${event.chapter.padEnd(10)} ${describeHistoryEvent(event)}`);
+    });
+}
+
+// ============================================
+// COMMAND 11: SITEMAP + STRUCTURED DATA (SEO)
+// ============================================
+
+const SCHEMA_ORG_CONTEXT = 'https://schema.org';
+
+function getPublicChapters(mangaData, config) {
+    return Object.values(mangaData.chapters || {})
+        .filter(chapter => !chapter.locked)
+        .sort((a, b) => compareChapterNames(a.folder, b.folder, config));
+}
+
+// A <urlset> for the series page + every unlocked chapter; the site merges it
+// into its own sitemap index
+function buildSitemap(mangaData, config) {
+    const chapters = getPublicChapters(mangaData, config);
+    const lastmod = chapters.length > 0
+        ? chapters.map(chapter => chapter.uploadDate).sort((a, b) => new Date(b) - new Date(a))[0]
+        : mangaData.lastChapterUpdate;
+    
+    const urls = [
+        { loc: getSeriesUrl(config), lastmod, changefreq: 'weekly', priority: '0.8' },
+        ...chapters.map(chapter => ({
+            loc: getChapterUrl(config, chapter.folder),
+            lastmod: chapter.uploadDate,
+            changefreq: 'monthly',
+            priority: '0.6'
+        }))
+    ];
+    
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => [
+            '  <url>',
+            `    <loc>${escapeXml(url.loc)}</loc>`,
+            url.lastmod ? `    <lastmod>${escapeXml(url.lastmod)}</lastmod>` : null,
+            `    <changefreq>${url.changefreq}</changefreq>`,
+            `    <priority>${url.priority}</priority>`,
+            '  </url>'
+        ].filter(line => line !== null).join('\n')),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function toPerson(name) {
+    return isNonEmptyString(name) ? { '@type': 'Person', name: name } : undefined;
+}
+
+// One self-contained JSON-LD object per page: "series" for the series page,
+// "chapters[folder]" for each reader page - ready for <script type="application/ld+json">
+function buildStructuredData(mangaData, config) {
+    const seriesUrl = getSeriesUrl(config);
+    const seriesId = `${seriesUrl}#series`;
+    
+    const series = {
+        '@context': SCHEMA_ORG_CONTEXT,
+        '@type': 'ComicSeries',
+        '@id': seriesId,
+        name: config.title,
+        alternateName: config.alternativeTitle || undefined,
+        description: config.description || undefined,
+        url: seriesUrl,
+        image: config.cover || undefined,
+        author: toPerson(config.author),
+        artist: toPerson(config.artist),
+        genre: config.genre,
+        dateModified: mangaData.lastChapterUpdate || undefined
+    };
+    
+    const chapters = {};
+    getPublicChapters(mangaData, config).forEach(chapter => {
+        chapters[chapter.folder] = {
+            '@context': SCHEMA_ORG_CONTEXT,
+            '@type': 'ComicIssue',
+            '@id': getChapterUrl(config, chapter.folder),
+            name: `${config.title} - ${chapter.title}`,
+            issueNumber: chapter.chapter,
+            url: getChapterUrl(config, chapter.folder),
+            datePublished: chapter.uploadDate,
+            numberOfPages: chapter.totalPages,
+            author: toPerson(config.author),
+            artist: toPerson(config.artist),
+            isPartOf: { '@type': 'ComicSeries', '@id': seriesId, name: config.title }
+        };
+    });
+    
+    // JSON.stringify drops the undefined fields
+    return { series, chapters };
+}
+
+function writeSiteData(mangaData, config, rootDir = '.') {
+    const structuredData = buildStructuredData(mangaData, config);
+    
+    try {
+        fs.writeFileSync(path.join(rootDir, 'sitemap.xml'), buildSitemap(mangaData, config), 'utf8');
+    } catch (error) {
+        console.error('❌ Error writing sitemap.xml:', error.message);
+        return false;
+    }
+    if (!saveJSON(path.join(rootDir, 'structured-data.json'), structuredData)) {
+        return false;
+    }
+    
+    console.log(`🗺️  sitemap.xml + structured-data.json written (${Object.keys(structuredData.chapters).length} public chapter(s))`);
+    return true;
+}
+
+function commandSeo() {
+    console.log('🗺️  Generating sitemap + structured data...\n');
+    
+    const config = loadCliConfig();
+    const mangaData = loadJSON('manga.json');
+    
+    if (!mangaData || !mangaData.manga) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    if (!writeSiteData(mangaData, config)) {
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 12: PAGE INTEGRITY (hash-pages / verify-pages)
+// ============================================
+
+function naturalCompare(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function isImageFile(fileName) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    return ALLOWED_IMAGE_FORMATS.includes(ext);
+}
+
+function hashBytes(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Positional args after the command, skipping the values of the given --options
+function getPositionalArgs(optionsWithValues = []) {
+    const args = process.argv.slice(3);
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+        if (name === null) {
+            positional.push(args[i]);
+        } else if (optionsWithValues.includes(name)) {
+            i++;
+        }
+    }
+    return positional;
+}
+
+// File name of every page, in page order. Plaintext pages name their own file;
+// encrypted ones reuse existing integrity entries, or fall back to the image
+// folder in natural order.
+function getPageFileNames(manifest, imageDir) {
+    const plaintext = !manifest.pages.some(page => isEncryptedPage(page));
+    if (plaintext) {
+        return { files: manifest.pages.map(getPageFileName), from: 'page URLs' };
+    }
+    
+    if (Array.isArray(manifest.integrity) && manifest.integrity.length === manifest.pages.length &&
+        manifest.integrity.every(entry => entry && isPlainFileName(entry.file))) {
+        return { files: manifest.integrity.map(entry => entry.file), from: 'existing integrity entries' };
+    }
+    
+    const images = fs.readdirSync(imageDir).filter(isImageFile).sort(naturalCompare);
+    if (images.length !== manifest.pages.length) {
+        return { error: `pages are encrypted and ${imageDir} has ${images.length} image(s) for ${manifest.pages.length} page(s) - decrypt the manifest or fix the folder` };
+    }
+    return { files: images, from: `${imageDir} (natural order)` };
+}
+
+function commandHashPages() {
+    const [chapterName, imageDir] = getPositionalArgs();
+    const dryRun = hasFlag('dry-run');
+    
+    if (!chapterName || !imageDir) {
+        console.error('❌ Usage: node manga-automation.js hash-pages <chapter> <image folder> [--dry-run]');
+        process.exit(1);
+    }
+    
+    const manifest = loadManifest(chapterName);
+    if (!manifest || !Array.isArray(manifest.pages)) {
+        console.error(`❌ ${chapterName}/manifest.json not found or has no "pages"`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(imageDir) || !fs.statSync(imageDir).isDirectory()) {
+        console.error(`❌ Image folder not found: ${imageDir}`);
+        process.exit(1);
+    }
+    
+    const pageFiles = getPageFileNames(manifest, imageDir);
+    if (pageFiles.error) {
+        console.error(`❌ ${chapterName}: ${pageFiles.error}`);
+        process.exit(1);
+    }
+    
+    console.log(`🔢 Hashing ${manifest.pages.length} page(s) of ${chapterName} from ${imageDir}`);
+    console.log(`   File names from ${pageFiles.from}\n`);
+    
+    const missing = [];
+    const integrity = pageFiles.files.map((file, index) => {
+        const filePath = file ? path.join(imageDir, file) : null;
+        if (!filePath || !fs.existsSync(filePath)) {
+            missing.push(`page ${index + 1}: ${file || '(no file name)'}`);
+            return null;
+        }
+        
+        const buffer = fs.readFileSync(filePath);
+        const entry = { file, sha256: hashBytes(buffer), size: buffer.length };
+        console.log(`   📄 ${String(index + 1).padStart(3)} ${file} - ${entry.size} bytes - ${entry.sha256.slice(0, 12)}…`);
+        return entry;
+    });
+    
+    if (missing.length > 0) {
+        console.error(`\n❌ ${missing.length} page image(s) missing in ${imageDir}:`);
+        missing.forEach(line => console.error(`   - ${line}`));
+        process.exit(1);
+    }
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - manifest.json not written');
+        return;
+    }
+    
+    manifest.integrity = integrity;
+    if (!saveJSON(path.join(chapterName, 'manifest.json'), manifest)) {
+        process.exit(1);
+    }
+    console.log(`\n✅ ${chapterName}/manifest.json: integrity written for ${integrity.length} page(s)`);
+}
+
+// Local folder or http(s) base URL laid out as <mirror>/<chapter>/<file>
+async function readMirrorFile(mirror, chapterName, file) {
+    if (!isPlainFileName(file)) {
+        return { error: 'not a plain file name - not read' };
+    }
+    
+    if (/^https?:\/\//.test(mirror)) {
+        const url = `${mirror.replace(/\/+$/, '')}/${encodeURIComponent(chapterName)}/${encodeURIComponent(file)}`;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                return { error: `HTTP ${response.status}` };
+            }
+            return { buffer: Buffer.from(await response.arrayBuffer()) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+    
+    const chapterDir = path.resolve(mirror, chapterName);
+    const filePath = path.resolve(chapterDir, file);
+    if (path.dirname(filePath) !== chapterDir) {
+        return { error: `outside ${chapterDir} - not read` };
+    }
+    if (!fs.existsSync(filePath)) {
+        return { error: 'not found' };
+    }
+    return { buffer: fs.readFileSync(filePath) };
+}
+
+async function verifyChapterPages(chapterName, manifest, mirror) {
+    const problems = [];
+    
+    for (let index = 0; index < manifest.integrity.length; index++) {
+        const entry = manifest.integrity[index];
+        if (!entry || !isPlainFileName(entry.file)) {
+            problems.push(`page ${index + 1}: "file" must be a plain file name (got ${JSON.stringify(entry && entry.file)}) - not read`);
+            continue;
+        }
+        
+        const result = await readMirrorFile(mirror, chapterName, entry.file);
+        const label = `page ${index + 1} (${entry.file})`;
+        
+        if (result.error) {
+            problems.push(`${label}: missing - ${result.error}`);
+        } else if (result.buffer.length !== entry.size) {
+            problems.push(`${label}: size ${result.buffer.length} bytes, expected ${entry.size}${result.buffer.length < entry.size ? ' (truncated?)' : ''}`);
+        } else if (hashBytes(result.buffer) !== entry.sha256) {
+            problems.push(`${label}: content changed (sha256 mismatch)`);
+        }
+    }
+    
+    return problems;
+}
+
+async function commandVerifyPages() {
+    const mirror = getOption('mirror');
+    if (!mirror) {
+        console.error('❌ Usage: node manga-automation.js verify-pages [chapter...] --mirror <folder | http(s)://base>');
+        process.exit(1);
+    }
+    
+    const requested = getPositionalArgs(['mirror']);
+    const chapters = requested.length > 0 ? requested : getChapterFolders(loadJSON(SERIES_CONFIG_FILE));
+    
+    console.log(`🔎 Verifying page images against ${mirror}\n`);
+    
+    let failedChapters = 0;
+    let skippedChapters = 0;
+    let checkedPages = 0;
+    
+    for (const chapterName of chapters) {
+        const manifest = loadManifest(chapterName);
+        if (!manifest) {
+            console.log(`❌ ${chapterName}: manifest.json not found`);
+            failedChapters++;
+            continue;
+        }
+        if (!Array.isArray(manifest.integrity) || manifest.integrity.length === 0) {
+            console.log(`⚠️  ${chapterName}: no integrity data (run hash-pages) - skipped`);
+            skippedChapters++;
+            continue;
+        }
+        
+        const problems = await verifyChapterPages(chapterName, manifest, mirror);
+        checkedPages += manifest.integrity.length;
+        
+        if (problems.length > 0) {
+            failedChapters++;
+            console.log(`❌ ${chapterName}: ${problems.length} of ${manifest.integrity.length} page(s) do not match`);
+            problems.forEach(problem => console.log(`   - ${problem}`));
+        } else {
+            console.log(`✅ ${chapterName}: ${manifest.integrity.length} page(s) OK`);
+        }
+    }
+    
+    console.log(`\n📊 ${chapters.length} chapter(s), ${checkedPages} page(s) checked, ${skippedChapters} skipped`);
+    
+    if (failedChapters > 0) {
+        console.log(`❌ ${failedChapters} chapter(s) with missing or changed pages`);
+        process.exit(1);
+    }
+    console.log('✅ Mirror matches the manifests');
+}
+
+// ============================================
+// COMMAND 13: BUILD MANIFEST FROM PAGE IMAGES
+// ============================================
+
+// cdnBase may use {repo} / {chapter}; without {chapter} the chapter folder is appended
+function getPageBaseUrl(cdnBase, config, chapterName) {
+    const template = cdnBase.includes('{chapter}') ? cdnBase : `${cdnBase.replace(/\/+$/, '')}/{chapter}`;
+    return fillUrlTemplate(template, { repo: config.repoName, chapter: chapterName }).replace(/\/+$/, '');
+}
+
+function getImageFormatAliases(format) {
+    return format === 'jpg' || format === 'jpeg' ? ['jpg', 'jpeg'] : [format];
+}
+
+// Renames in two steps (via temporary names) so "2.webp → Image1.webp" can't
+// overwrite a file that is itself still waiting to be renamed. If any rename
+// fails, the ones already done are undone (newest first) before rethrowing.
+function renameAll(folder, renames) {
+    const pending = renames.filter(({ from, to }) => from !== to);
+    const done = [];
+    const move = (from, to) => {
+        fs.renameSync(from, to);
+        done.push({ from, to });
+    };
+    
+    try {
+        pending.forEach(({ from }, index) => {
+            move(path.join(folder, from), path.join(folder, `.manifest-rename-${index}.tmp`));
+        });
+        pending.forEach(({ to }, index) => {
+            move(path.join(folder, `.manifest-rename-${index}.tmp`), path.join(folder, to));
+        });
+    } catch (error) {
+        done.reverse().forEach(({ from, to }) => {
+            try {
+                fs.renameSync(to, from);
+            } catch (undoError) {
+                console.error(`❌ Could not move ${to} back to ${from}:`, undoError.message);
+            }
+        });
+        throw error;
+    }
+    
+    return pending.length;
+}
+
+function commandBuildManifest() {
+    const [chapterName, imageDirArg] = getPositionalArgs(['cdn-base', 'pad']);
+    const dryRun = hasFlag('dry-run');
+    
+    if (!chapterName) {
+        console.error('❌ Usage: node manga-automation.js manifest <chapter> [image folder] [--cdn-base <url>] [--pad N] [--dry-run] [--force]');
+        process.exit(1);
+    }
+    
+    const config = loadCliConfig();
+    const imageDir = imageDirArg || chapterName;
+    const imagePrefix = config.imagePrefix || 'Image';
+    const imageFormat = config.imageFormat || 'jpg';
+    const cdnBase = getOption('cdn-base') || config.cdnBase;
+    
+    if (!cdnBase) {
+        console.error('❌ No CDN base URL - set "cdnBase" in manga-config.json or pass --cdn-base');
+        process.exit(1);
+    }
+    if (!isHttpUrl(fillUrlTemplate(cdnBase, { repo: config.repoName, chapter: chapterName }))) {
+        console.error(`❌ CDN base must be an http(s) URL (got ${cdnBase})`);
+        process.exit(1);
+    }
+    if (!isChapterFolderName(chapterName, config)) {
+        console.warn(`⚠️  "${chapterName}" is not a chapter name (number, "oneshot" or specialChapters) - generate will ignore it`);
+    }
+    if (!fs.existsSync(imageDir) || !fs.statSync(imageDir).isDirectory()) {
+        console.error(`❌ Image folder not found: ${imageDir}`);
+        process.exit(1);
+    }
+    
+    const manifestPath = path.join(chapterName, 'manifest.json');
+    const oldManifest = loadManifest(chapterName);
+    if (oldManifest && !hasFlag('force')) {
+        console.error(`❌ ${manifestPath} already exists - pass --force to rebuild it (chapter metadata is kept)`);
+        process.exit(1);
+    }
+    
+    const images = fs.readdirSync(imageDir).filter(isImageFile).sort(naturalCompare);
+    if (images.length === 0) {
+        console.error(`❌ No page images in ${imageDir}`);
+        process.exit(1);
+    }
+    
+    const formatAliases = getImageFormatAliases(imageFormat);
+    const wrongFormat = images.filter(file => !formatAliases.includes(path.extname(file).slice(1).toLowerCase()));
+    if (wrongFormat.length > 0) {
+        console.error(`❌ ${wrongFormat.length} image(s) are not .${imageFormat} (imageFormat in manga-config.json) - convert them first:`);
+        wrongFormat.forEach(file => console.error(`   - ${file}`));
+        process.exit(1);
+    }
+    
+    const padOption = getOption('pad');
+    const pad = padOption !== null ? parseInt(padOption, 10) : Math.max(2, String(images.length).length);
+    if (!Number.isInteger(pad) || pad < 1) {
+        console.error('❌ --pad must be a positive integer');
+        process.exit(1);
+    }
+    
+    const renames = images.map((file, index) => ({
+        from: file,
+        to: `${imagePrefix}${String(index + 1).padStart(pad, '0')}.${imageFormat}`
+    }));
+    
+    // Another image already using a target name would be clobbered
+    const otherFiles = new Set(fs.readdirSync(imageDir).filter(file => !images.includes(file)));
+    const clashes = renames.filter(({ to }) => otherFiles.has(to));
+    if (clashes.length > 0) {
+        console.error(`❌ Target name(s) already used by other files in ${imageDir}: ${clashes.map(c => c.to).join(', ')}`);
+        process.exit(1);
+    }
+    
+    const baseUrl = getPageBaseUrl(cdnBase, config, chapterName);
+    
+    console.log(`🧾 Building ${manifestPath} from ${images.length} image(s) in ${imageDir}\n`);
+    renames.forEach(({ from, to }, index) => {
+        const arrow = from === to ? '   ' : `${from} →`;
+        console.log(`   ${String(index + 1).padStart(3)} ${arrow} ${to}`);
+    });
+    
+    const manifest = {};
+    if (oldManifest) {
+        Object.assign(manifest, pickChapterMetadata(oldManifest));
+    }
+    manifest.total_pages = renames.length;
+    manifest.pages = renames.map(({ to }) => `${baseUrl}/${encodeURIComponent(to)}`);
+    
+    const { errors } = validateManifest(manifest, config);
+    if (errors.length > 0) {
+        console.error('\n❌ The new manifest would not pass validate:');
+        errors.forEach(error => console.error(`   - ${error}`));
+        process.exit(1);
+    }
+    
+    console.log(`\n🌐 Page URLs: ${baseUrl}/${renames[0].to} …`);
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - nothing renamed or written');
+        return;
+    }
+    
+    let renamed;
+    try {
+        renamed = renameAll(imageDir, renames);
+    } catch (error) {
+        console.error(`❌ Renaming failed (${error.message}) - images put back, manifest not written`);
+        process.exit(1);
+    }
+    
+    manifest.integrity = renames.map(({ to }) => {
+        const buffer = fs.readFileSync(path.join(imageDir, to));
+        return { file: to, sha256: hashBytes(buffer), size: buffer.length };
+    });
+    
+    if (!fs.existsSync(chapterName)) {
+        fs.mkdirSync(chapterName, { recursive: true });
+    }
+    if (!saveJSON(manifestPath, manifest)) {
+        process.exit(1);
+    }
+    
+    console.log(`\n✅ ${manifestPath} written (${manifest.total_pages} pages, ${renamed} file(s) renamed)`);
+    console.log(`💡 Upload ${imageDir} to the CDN, then push - encrypt-manifest.js encrypts the new manifest`);
+}
+
+// ============================================
+// COMMAND 14: MERGE PENDING VIEW FILES
+// ============================================
+// pending-views.json / pending-chapter-views.json come from the old
+// counter-in-git tracking (or a Worker outage). Their counts go into the
+// manga.json counters and the matching day of daily-views.json. Every merged
+// file is recorded in merged-views.json by source + day + sha256: the same
+// count on another day, or another outage's file on the same day, is a new
+// merge; only the exact file already merged is skipped (and removed).
+
+const MERGED_VIEWS_FILE = 'merged-views.json';
+const PENDING_VIEW_FILES = [
+    { file: 'pending-views.json', kind: 'manga' },
+    { file: 'pending-chapter-views.json', kind: 'chapters' }
+];
+const PENDING_COUNT_FIELDS = ['pendingViews', 'views', 'count'];
+const PENDING_TIMESTAMP_FIELDS = ['lastUpdate', 'lastIncrement', 'updatedAt', 'date'];
+
+// 5, {"pendingViews": 5}, {"views": 5} or {"count": 5}
+function readPendingCount(value) {
+    if (Number.isInteger(value)) return value;
+    if (value && typeof value === 'object') {
+        const field = PENDING_COUNT_FIELDS.find(name => Number.isInteger(value[name]));
+        if (field) return value[field];
+    }
+    return null;
+}
+
+// WIB day the counts belong to: the file's own timestamp, else its mtime
+function getPendingViewsDate(data, mtime) {
+    const field = data && typeof data === 'object'
+        ? PENDING_TIMESTAMP_FIELDS.find(name => typeof data[name] === 'string')
+        : null;
+    const date = field ? (parseWIBDateTime(data[field]) || new Date(data[field])) : null;
+    
+    return getWIBDate(date && !isNaN(date.getTime()) ? date : mtime);
+}
+
+// → { date, manga, chapters: { name: count }, problems: [...] }
+function parsePendingViews(kind, data, mtime) {
+    const pending = { date: getPendingViewsDate(data, mtime), manga: 0, chapters: {}, problems: [] };
+    
+    if (kind === 'manga') {
+        const count = readPendingCount(data);
+        if (count === null || count < 0) {
+            pending.problems.push('no pending view count (expected a number or pendingViews / views / count)');
+        } else {
+            pending.manga = count;
+        }
+        return pending;
+    }
+    
+    const source = data && typeof data.chapters === 'object' ? data.chapters : data;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        pending.problems.push('expected an object of chapter → count');
+        return pending;
+    }
+    
+    Object.entries(source).forEach(([chapterName, value]) => {
+        if (PENDING_TIMESTAMP_FIELDS.includes(chapterName)) return;
+        
+        const count = readPendingCount(value);
+        if (count === null || count < 0) {
+            pending.problems.push(`chapter ${chapterName}: no pending view count`);
+        } else if (count > 0) {
+            pending.chapters[chapterName] = count;
+        }
+    });
+    return pending;
+}
+
+// Adds one pending file's counts to both the counters and the daily record.
+// Chapters missing from manga.json are left out and returned as skipped.
+function applyPendingViews(mangaData, dailyViews, pending, config) {
+    const chapters = {};
+    const skipped = {};
+    
+    Object.entries(pending.chapters).forEach(([chapterName, views]) => {
+        const chapter = mangaData.chapters && mangaData.chapters[chapterName];
+        if (!chapter) {
+            skipped[chapterName] = views;
+            return;
+        }
+        chapter.views = (chapter.views || 0) + views;
+        chapters[chapterName] = views;
+    });
+    
+    mangaData.manga.views = (mangaData.manga.views || 0) + pending.manga;
+    
+    dailyViews.dailyRecords = dailyViews.dailyRecords || {};
+    const record = addViewRecord(dailyViews.dailyRecords[pending.date] || { manga: 0, chapters: {} }, { manga: pending.manga, chapters });
+    
+    // Same ordering the Worker writes: days ascending, chapters in reading order
+    record.chapters = Object.fromEntries(Object.entries(record.chapters)
+        .sort(([a], [b]) => compareChapterNames(a, b, config)));
+    dailyViews.dailyRecords[pending.date] = record;
+    dailyViews.dailyRecords = Object.fromEntries(Object.entries(dailyViews.dailyRecords).sort(([a], [b]) => a.localeCompare(b)));
+    
+    return { chapters, skipped };
+}
+
+function mergePendingViewFiles(dryRun, rootDir = '.') {
+    const found = PENDING_VIEW_FILES.filter(({ file }) => fs.existsSync(path.join(rootDir, file)));
+    if (found.length === 0) {
+        console.log('ℹ️  No pending view files to merge');
+        return true;
+    }
+    
+    const mangaPath = path.join(rootDir, 'manga.json');
+    const dailyPath = path.join(rootDir, 'daily-views.json');
+    const ledgerPath = path.join(rootDir, MERGED_VIEWS_FILE);
+    
+    const mangaData = loadJSON(mangaPath);
+    if (!mangaData || !mangaData.manga) {
+        console.error('❌ manga.json not found - run generate first (pending files kept)');
+        return false;
+    }
+    const dailyViews = fs.existsSync(dailyPath) ? loadJSON(dailyPath) : { dailyRecords: {} };
+    if (!dailyViews) {
+        console.error('❌ daily-views.json is unreadable (pending files kept)');
+        return false;
+    }
+    const ledger = loadJSON(ledgerPath) || { merged: [] };
+    const config = loadJSON(path.join(rootDir, SERIES_CONFIG_FILE));
+    
+    const newEntries = [];
+    const toRemove = [];
+    let ok = true;
+    
+    found.forEach(({ file, kind }) => {
+        const filePath = path.join(rootDir, file);
+        const raw = fs.readFileSync(filePath);
+        const sha256 = hashBytes(raw);
+        
+        let data;
+        try {
+            data = JSON.parse(raw.toString('utf8'));
+        } catch (error) {
+            console.error(`❌ ${file}: invalid JSON (${error.message}) - kept`);
+            ok = false;
+            return;
+        }
+        
+        const pending = parsePendingViews(kind, data, fs.statSync(filePath).mtime);
+        
+        // Left behind by a run that merged it but could not delete it
+        const previous = ledger.merged.find(entry => entry.file === file && entry.date === pending.date && entry.sha256 === sha256);
+        if (previous) {
+            console.log(`♻️  ${file} (${pending.date}) already merged at ${previous.mergedAt} - not counted again`);
+            toRemove.push(file);
+            return;
+        }
+        
+        if (pending.problems.length > 0) {
+            console.error(`❌ ${file} not merged - kept:`);
+            pending.problems.forEach(problem => console.error(`   - ${problem}`));
+            ok = false;
+            return;
+        }
+        
+        const { chapters, skipped } = applyPendingViews(mangaData, dailyViews, pending, config);
+        const chapterViews = Object.values(chapters).reduce((sum, views) => sum + views, 0);
+        
+        console.log(`➕ ${file} → ${pending.date}: +${pending.manga} manga, +${chapterViews} chapter view(s)`);
+        Object.entries(skipped).forEach(([chapterName, views]) => {
+            console.warn(`   ⚠️  chapter ${chapterName} is not in manga.json - ${views} view(s) skipped`);
+        });
+        
+        const entry = { file, date: pending.date, sha256, manga: pending.manga, chapters, mergedAt: getWIBTimestamp() };
+        if (Object.keys(skipped).length > 0) {
+            entry.skipped = skipped;
+        }
+        newEntries.push(entry);
+        toRemove.push(file);
+    });
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - nothing written, pending files kept');
+        return ok;
+    }
+    
+    if (newEntries.length > 0) {
+        ledger.merged = ledger.merged.concat(newEntries);
+        
+        // All three or none - a half-written merge would be counted again on retry.
+        // Pending files are only removed once they are written.
+        const saved = saveJSONFiles([
+            { filename: dailyPath, data: dailyViews },
+            { filename: mangaPath, data: mangaData },
+            { filename: ledgerPath, data: ledger }
+        ]);
+        if (!saved) {
+            console.error('ℹ️  Pending files kept');
+            return false;
+        }
+        console.log(`✅ Merged ${newEntries.length} file(s) into manga.json + daily-views.json`);
+    }
+    
+    toRemove.forEach(file => {
+        try {
+            fs.unlinkSync(path.join(rootDir, file));
+            console.log(`🗑️  Removed ${file}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not remove ${file}:`, error.message);
+        }
+    });
+    
+    return ok;
+}
+
+function commandMergeViews() {
+    console.log('🔀 Merging pending view files...\n');
+    
+    if (!mergePendingViewFiles(hasFlag('dry-run'))) {
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 15: IMPORT FROM A MANGADEX EXPORT
+// ============================================
+// Reads saved MangaDex API responses - no network:
+//   /manga/{id}?includes[]=author&includes[]=artist → series fields
+//   /manga/{id}/feed or /chapter/{id}              → chapterMetadata title / volume
+// Empty fields are filled; values that differ from manga-config.json are only
+// replaced with --force, so hand-curated text is never overwritten silently.
+
+const IMPORT_FIELDS = ['title', 'alternativeTitle', 'author', 'artist', 'genre', 'description', 'status', 'type', 'links.mangadex', 'chapters'];
+const MANGADEX_STATUSES = { ongoing: 'ONGOING', hiatus: 'HIATUS', completed: 'END', cancelled: 'END' };
+const MANGADEX_TYPES = { ja: 'manga', ko: 'manhwa', zh: 'manhua', 'zh-hk': 'manhua' };
+const MANGADEX_GENRE_GROUPS = ['genre', 'theme'];
+const MANGADEX_DEFAULT_LANGUAGES = ['id', 'en'];
+
+// MangaDex tag name → our genre name. config "genreMap" adds to / overrides
+// this (null drops a tag, and any mapped tag is used whatever its group).
+const MANGADEX_GENRE_NAMES = {
+    "Boys' Love": 'Boys Love',
+    "Girls' Love": 'Girls Love'
+};
+
+function readMangaDexExport(filePath) {
+    let response;
+    try {
+        response = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new DataFileError(`Could not read ${filePath}: ${error.message}`, 'IMPORT_UNREADABLE', { file: filePath });
+    }
+    
+    if (!response || response.result !== 'ok' || !response.data || typeof response.data !== 'object') {
+        throw new DataFileError(`${filePath} is not a MangaDex API response (expected "result": "ok" with "data")`, 'IMPORT_INVALID', { file: filePath });
+    }
+    return Array.isArray(response.data) ? response.data : [response.data];
+}
+
+// MangaDex localized strings look like { "en": "...", "ja-ro": "..." }
+function pickLocalized(strings, languages) {
+    if (!strings || typeof strings !== 'object') return null;
+    
+    const language = languages.find(lang => isNonEmptyString(strings[lang]));
+    const value = language ? strings[language] : Object.values(strings).find(isNonEmptyString);
+    return value ? value.trim() : null;
+}
+
+// Title responses carry the manga directly; chapter responses only with includes[]=manga
+function findMangaDexManga(entities) {
+    for (const entity of entities) {
+        if (entity && entity.type === 'manga' && entity.attributes) {
+            return entity;
+        }
+        const related = ((entity && entity.relationships) || []).find(rel => rel.type === 'manga' && rel.attributes);
+        if (related) {
+            return related;
+        }
+    }
+    return null;
+}
+
+// Descriptions are markdown with a trailing "---" block of links
+function cleanMangaDexDescription(text) {
+    return text.replace(/\r\n/g, '\n')
+        .split(/\n\s*-{3,}\s*(?:\n|$)/)[0]
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/\*(.+?)\*/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function getMangaDexPeople(manga, type) {
+    const names = (manga.relationships || [])
+        .filter(rel => rel.type === type && rel.attributes && isNonEmptyString(rel.attributes.name))
+        .map(rel => rel.attributes.name.trim());
+    
+    return names.length > 0 ? Array.from(new Set(names)).join(', ') : null;
+}
+
+// Demographic + genre/theme tags, renamed through the genre map. Genres we
+// already list keep their curated spelling and order; new ones go after.
+function mapMangaDexGenres(attributes, config) {
+    const genreMap = Object.assign({}, MANGADEX_GENRE_NAMES, config.genreMap || {});
+    const hasMapping = name => Object.prototype.hasOwnProperty.call(genreMap, name);
+    const names = [];
+    
+    if (isNonEmptyString(attributes.publicationDemographic)) {
+        const demographic = attributes.publicationDemographic.trim();
+        names.push(demographic.charAt(0).toUpperCase() + demographic.slice(1));
+    }
+    (attributes.tags || []).forEach(tag => {
+        const tagAttributes = (tag && tag.attributes) || {};
+        const name = pickLocalized(tagAttributes.name, ['en']);
+        if (name && (MANGADEX_GENRE_GROUPS.includes(tagAttributes.group) || hasMapping(name))) {
+            names.push(name);
+        }
+    });
+    
+    const mapped = [];
+    names.forEach(name => {
+        const genre = hasMapping(name) ? genreMap[name] : name;
+        if (genre && !mapped.some(existing => existing.toLowerCase() === genre.toLowerCase())) {
+            mapped.push(genre);
+        }
+    });
+    
+    const current = Array.isArray(config.genre) ? config.genre : [];
+    const isListed = (list, genre) => list.some(existing => String(existing).toLowerCase() === genre.toLowerCase());
+    return [
+        ...current.filter(genre => isNonEmptyString(genre) && isListed(mapped, genre)),
+        ...mapped.filter(genre => !isListed(current, genre))
+    ];
+}
+
+// Chapter entries whose number is a chapter folder here (one translation
+// per chapter, preferring the given languages)
+function getMangaDexChapterMetadata(entities, chapterNames, languages) {
+    const picked = {};
+    const unmatched = new Set();
+    const rank = lang => (languages.includes(lang) ? languages.indexOf(lang) : languages.length);
+    
+    entities.filter(entity => entity && entity.type === 'chapter' && entity.attributes).forEach(chapter => {
+        const attributes = chapter.attributes;
+        const chapterName = attributes.chapter === null || attributes.chapter === undefined ? null : String(attributes.chapter);
+        
+        if (chapterName === null) return;
+        if (!chapterNames.includes(chapterName)) {
+            unmatched.add(chapterName);
+            return;
+        }
+        if (picked[chapterName] && rank(picked[chapterName].language) <= rank(attributes.translatedLanguage)) {
+            return;
+        }
+        
+        const metadata = {};
+        if (isNonEmptyString(attributes.title)) {
+            metadata.title = attributes.title.trim();
+        }
+        if (isNonEmptyString(attributes.volume)) {
+            metadata.volume = /^\d+$/.test(attributes.volume) ? parseInt(attributes.volume, 10) : attributes.volume.trim();
+        }
+        picked[chapterName] = { language: attributes.translatedLanguage, metadata };
+    });
+    
+    const chapters = {};
+    Object.keys(picked).forEach(chapterName => {
+        chapters[chapterName] = picked[chapterName].metadata;
+    });
+    return { chapters, unmatched: Array.from(unmatched) };
+}
+
+// Everything the export says, as config paths → value. Fields the export
+// doesn't have are simply absent.
+function buildMangaDexImport(entities, config, chapterNames, languages = MANGADEX_DEFAULT_LANGUAGES) {
+    const values = [];
+    const add = (field, keys, value) => {
+        if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+            values.push({ field, keys, value });
+        }
+    };
+    
+    const manga = findMangaDexManga(entities);
+    if (manga) {
+        const attributes = manga.attributes;
+        const originalLanguage = attributes.originalLanguage;
+        const originalTitle = (attributes.altTitles || []).find(alt => alt && isNonEmptyString(alt[originalLanguage]));
+        const description = pickLocalized(attributes.description, languages);
+        
+        add('title', ['title'], pickLocalized(attributes.title, [`${originalLanguage}-ro`, 'en']));
+        add('alternativeTitle', ['alternativeTitle'], originalTitle ? originalTitle[originalLanguage].trim() : null);
+        add('author', ['author'], getMangaDexPeople(manga, 'author'));
+        add('artist', ['artist'], getMangaDexPeople(manga, 'artist'));
+        add('genre', ['genre'], mapMangaDexGenres(attributes, config));
+        add('description', ['description'], description ? cleanMangaDexDescription(description) : null);
+        add('status', ['status'], MANGADEX_STATUSES[attributes.status] || null);
+        add('type', ['type'], MANGADEX_TYPES[originalLanguage] || null);
+        add('links.mangadex', ['links', 'mangadex'], `https://mangadex.org/title/${manga.id}`);
+    }
+    
+    const { chapters, unmatched } = getMangaDexChapterMetadata(entities, chapterNames, languages);
+    Object.entries(chapters).forEach(([chapterName, metadata]) => {
+        Object.entries(metadata).forEach(([key, value]) => {
+            add('chapters', ['chapterMetadata', chapterName, key], value);
+        });
+    });
+    
+    return { mangaId: manga ? manga.id : null, values, unmatchedChapters: unmatched };
+}
+
+function getConfigPath(object, keys) {
+    return keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setConfigPath(object, keys, value) {
+    let target = object;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+function isEmptyConfigValue(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// { field, path, from, to, kind: 'same' | 'fill' | 'change' } per imported value
+function diffImportedConfig(config, imported) {
+    return imported.values.map(({ field, keys, value }) => {
+        const current = getConfigPath(config, keys);
+        let kind = 'change';
+        
+        if (isEmptyConfigValue(current)) {
+            kind = 'fill';
+        } else if (JSON.stringify(current) === JSON.stringify(value)) {
+            kind = 'same';
+        } else if (field === 'links.mangadex' && String(current).includes(`/title/${imported.mangaId}`)) {
+            // Our link carries the slug too - same title
+            kind = 'same';
+        }
+        
+        // MangaDex has no last chapter number for us - END without endChapter
+        // would fail validation, so the status stays as it is
+        if (field === 'status' && value === 'END' && kind !== 'same' && isEmptyConfigValue(config.endChapter)) {
+            return { field, path: keys.join('.'), keys, from: current, to: value, kind: 'blocked', reason: 'END needs "endChapter" - set it in manga-config.json first' };
+        }
+        return { field, path: keys.join('.'), keys, from: current, to: value, kind };
+    });
+}
+
+function formatImportValue(value) {
+    if (isEmptyConfigValue(value)) return '(empty)';
+    const text = JSON.stringify(value);
+    return text.length > 70 ? `${text.slice(0, 67)}...` : text;
+}
+
+function commandImport() {
+    console.log('📥 Importing series metadata from a MangaDex export...\n');
+    
+    const files = getPositionalArgs(['fields', 'lang']);
+    if (files.length === 0) {
+        console.error('❌ Usage: node manga-automation.js import <export.json> [more.json...] [--fields a,b] [--lang id,en] [--write] [--force]');
+        process.exit(1);
+    }
+    
+    const fieldsOption = getOption('fields');
+    const fields = fieldsOption ? fieldsOption.split(',').map(field => field.trim()).filter(Boolean) : IMPORT_FIELDS;
+    const unknownFields = fields.filter(field => !IMPORT_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        console.error(`❌ Unknown --fields: ${unknownFields.join(', ')} (choose from ${IMPORT_FIELDS.join(', ')})`);
+        process.exit(1);
+    }
+    const languagesOption = getOption('lang');
+    const languages = languagesOption ? languagesOption.split(',').map(lang => lang.trim()).filter(Boolean) : MANGADEX_DEFAULT_LANGUAGES;
+    const force = hasFlag('force');
+    const write = hasFlag('write') || force;
+    
+    // Raw file, not loadConfig(): defaults must not end up written back
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(SERIES_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Error reading ${SERIES_CONFIG_FILE}: ${error.message}`, 'CONFIG_UNREADABLE');
+    }
+    
+    const entities = [].concat(...files.map(readMangaDexExport));
+    const chapterFolders = readChapterFolderNames(config, '.');
+    const chapterNames = Array.from(new Set([...chapterFolders, ...getLockedChapterNames(config)]));
+    const imported = buildMangaDexImport(entities, config, chapterNames, languages);
+    
+    if (imported.values.length === 0) {
+        console.error('❌ Nothing to import - the export has no manga (use includes[]=manga on chapter requests) and no matching chapters');
+        process.exit(1);
+    }
+    
+    console.log(`📄 ${files.join(', ')}${imported.mangaId ? ` (MangaDex ${imported.mangaId})` : ''}`);
+    if (imported.unmatchedChapters.length > 0) {
+        console.log(`ℹ️  No chapter folder for MangaDex chapter(s): ${imported.unmatchedChapters.join(', ')}`);
+    }
+    
+    // A link to another title means the wrong file was picked
+    const currentLink = getConfigPath(config, ['links', 'mangadex']);
+    const linkedId = typeof currentLink === 'string' ? (currentLink.match(/\/title\/([0-9a-f-]{36})/) || [])[1] : null;
+    if (imported.mangaId && linkedId && linkedId !== imported.mangaId && !force) {
+        console.error(`❌ The export is for MangaDex ${imported.mangaId}, but links.mangadex points to ${linkedId}`);
+        console.error('   Re-run with --force if this is intended');
+        process.exit(1);
+    }
+    
+    const diff = diffImportedConfig(config, imported).filter(entry => fields.includes(entry.field));
+    const icons = { same: '✅', fill: '➕', change: '✏️ ', blocked: '⛔' };
+    
+    console.log(`\n🔍 Field-by-field diff against ${SERIES_CONFIG_FILE}:`);
+    diff.forEach(({ path: fieldPath, from, to, kind, reason }) => {
+        if (kind === 'same') {
+            console.log(`   ${icons[kind]} ${fieldPath}: unchanged`);
+        } else if (kind === 'blocked') {
+            console.log(`   ${icons[kind]} ${fieldPath}: ${formatImportValue(from)} → ${formatImportValue(to)} (kept - ${reason})`);
+        } else if (kind === 'change' && Array.isArray(from) && Array.isArray(to)) {
+            const added = to.filter(value => !from.includes(value));
+            const removed = from.filter(value => !to.includes(value));
+            const changes = [...added.map(value => `+${value}`), ...removed.map(value => `-${value}`)];
+            const note = force ? '' : ' (curated - kept without --force)';
+            console.log(`   ${icons[kind]} ${fieldPath}: ${changes.length > 0 ? changes.join(', ') : 'order only'}${note}`);
+        } else {
+            const note = kind === 'change' && !force ? ' (curated - kept without --force)' : '';
+            console.log(`   ${icons[kind]} ${fieldPath}: ${formatImportValue(from)} → ${formatImportValue(to)}${note}`);
+        }
+    });
+    
+    const toApply = diff.filter(entry => entry.kind === 'fill' || (entry.kind === 'change' && force));
+    const kept = diff.filter(entry => entry.kind === 'change' && !force);
+    
+    if (!write) {
+        console.log(`\n💡 Nothing written. --write fills ${diff.filter(entry => entry.kind === 'fill').length} empty field(s); --force also replaces ${diff.filter(entry => entry.kind === 'change').length} changed one(s)`);
+        return;
+    }
+    if (toApply.length === 0) {
+        console.log(`\n✅ Nothing to write${kept.length > 0 ? ` (${kept.length} curated field(s) kept - use --force to replace)` : ''}`);
+        return;
+    }
+    
+    toApply.forEach(({ keys, to }) => setConfigPath(config, keys, to));
+    
+    const errors = validateConfig(config, chapterFolders);
+    if (errors.length > 0) {
+        throw new ConfigError(`Imported values would make ${SERIES_CONFIG_FILE} invalid - nothing written (${errors.length} problem(s)):`, 'CONFIG_INVALID', { problems: errors });
+    }
+    if (!saveJSON(SERIES_CONFIG_FILE, config)) {
+        process.exit(1);
+    }
+    
+    console.log(`\n✅ ${SERIES_CONFIG_FILE} updated: ${toApply.length} field(s)${kept.length > 0 ? `, ${kept.length} curated field(s) kept` : ''}`);
+    console.log('💡 Run generate to refresh manga.json');
+}
+
+// ============================================
+// COMMAND 16: NEW-CHAPTER NOTIFICATIONS (WEBHOOKS)
+// ============================================
+// Every public chapter not yet in announced-chapters.json is posted to the
+// webhooks in manga-config.json → notifications. Runs after generate / unlock;
+// each webhook is recorded separately, so a failed one is retried on the next
+// run without repeating the announcement everywhere else.
+
+const ANNOUNCED_FILE = 'announced-chapters.json';
+const WEBHOOK_TYPES = ['discord', 'telegram', 'json'];
+const NOTIFY_DEFAULT_RETRIES = 3;
+const NOTIFY_RETRY_DELAY_MS = 2000;
+const NOTIFY_MAX_RETRY_DELAY_MS = 30000;
+
+function validateNotifications(notifications) {
+    const errors = [];
+    
+    if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+        return ['"notifications" must be an object with a "webhooks" array'];
+    }
+    if (notifications.retries !== undefined && (!Number.isInteger(notifications.retries) || notifications.retries < 0)) {
+        errors.push('"notifications.retries" must be a non-negative integer');
+    }
+    if (!Array.isArray(notifications.webhooks)) {
+        errors.push('"notifications.webhooks" must be an array');
+        return errors;
+    }
+    
+    const seenNames = new Set();
+    notifications.webhooks.forEach((webhook, index) => {
+        const label = `"notifications.webhooks[${index}]`;
+        if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+            errors.push(`${label}" must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(webhook.name)) {
+            errors.push(`${label}.name" is required`);
+        } else if (seenNames.has(webhook.name)) {
+            errors.push(`"notifications.webhooks" lists "${webhook.name}" more than once`);
+        }
+        seenNames.add(webhook.name);
+        
+        if (!WEBHOOK_TYPES.includes(webhook.type)) {
+            errors.push(`${label}.type" must be one of ${WEBHOOK_TYPES.join(', ')} (got ${JSON.stringify(webhook.type)})`);
+        }
+        // Real webhook URLs are secrets: keep them in an env var, not in git
+        if ((webhook.url === undefined) === (webhook.urlEnv === undefined)) {
+            errors.push(`${label}" needs exactly one of "url" or "urlEnv"`);
+        } else if (webhook.url !== undefined && !isHttpUrl(webhook.url)) {
+            errors.push(`${label}.url" must be an http(s) URL (got ${JSON.stringify(webhook.url)})`);
+        } else if (webhook.urlEnv !== undefined && !(typeof webhook.urlEnv === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(webhook.urlEnv))) {
+            errors.push(`${label}.urlEnv" must be an environment variable name (got ${JSON.stringify(webhook.urlEnv)})`);
+        }
+        if (webhook.type === 'telegram' && !isNonEmptyString(webhook.chatId) && !Number.isInteger(webhook.chatId)) {
+            errors.push(`${label}.chatId" is required for telegram`);
+        }
+    });
+    
+    return errors;
+}
+
+// { chapters: { "4.1": { announcedAt, webhooks: { "discord": "2026-...+07:00" } } } }
+// { webhooks: { name: firstSeenAt }, chapters: { name: { announcedAt, webhooks: { name: sentAt }, seeded: [name] } } }
+function loadAnnouncements() {
+    if (!fs.existsSync(ANNOUNCED_FILE)) {
+        return { ledger: { webhooks: {}, chapters: {} }, created: true };
+    }
+    const ledger = loadJSON(ANNOUNCED_FILE);
+    if (!ledger || !ledger.chapters || typeof ledger.chapters !== 'object') {
+        throw new DataFileError(`${ANNOUNCED_FILE} is unreadable or has no "chapters" object - fix it before notifying`, 'LEDGER_INVALID', { file: ANNOUNCED_FILE });
+    }
+    return { ledger, created: false };
+}
+
+// seeded: true comes from ledgers written before webhooks were seeded one by one
+function isChapterAnnounced(entry, webhookName) {
+    if (!entry) return false;
+    if (entry.seeded === true) return true;
+    if (Array.isArray(entry.seeded) && entry.seeded.includes(webhookName)) return true;
+    return Boolean(entry.webhooks && entry.webhooks[webhookName]);
+}
+
+// A webhook seen for the first time gets every chapter that is already out
+// marked as announced - otherwise it would receive the whole back catalogue.
+// Returns the newly seen webhooks.
+function seedNewWebhooks(ledger, webhooks, publicChapters, now) {
+    if (!ledger.webhooks) {
+        // Older ledger: the webhooks it already served are not new
+        ledger.webhooks = {};
+        webhooks.forEach(webhook => { ledger.webhooks[webhook.name] = now; });
+        return [];
+    }
+    
+    const newWebhooks = webhooks.filter(webhook => !ledger.webhooks[webhook.name]);
+    newWebhooks.forEach(webhook => {
+        ledger.webhooks[webhook.name] = now;
+        publicChapters.forEach(chapter => {
+            const entry = ledger.chapters[chapter.folder] || { announcedAt: now, webhooks: {} };
+            if (!isChapterAnnounced(entry, webhook.name)) {
+                entry.seeded = (Array.isArray(entry.seeded) ? entry.seeded : []).concat(webhook.name);
+            }
+            ledger.chapters[chapter.folder] = entry;
+        });
+    });
+    return newWebhooks;
+}
+
+function buildAnnouncement(mangaData, chapter, config) {
+    return {
+        series: mangaData.manga.title,
+        repo: config.repoName,
+        chapter: chapter.folder,
+        chapterTitle: chapter.title,
+        url: getChapterUrl(config, chapter.folder),
+        seriesUrl: getSeriesUrl(config),
+        cover: mangaData.manga.cover,
+        uploadDate: chapter.uploadDate
+    };
+}
+
+function escapeTelegramHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Request body per webhook type. Telegram URLs point at .../bot<token>/sendPhoto.
+function buildWebhookPayload(webhook, announcement) {
+    if (webhook.type === 'discord') {
+        return {
+            embeds: [{
+                title: `${announcement.series} - ${announcement.chapterTitle}`,
+                url: announcement.url,
+                description: `📖 ${announcement.chapterTitle} sudah bisa dibaca!`,
+                image: announcement.cover ? { url: announcement.cover } : undefined,
+                timestamp: new Date(announcement.uploadDate).toISOString()
+            }]
+        };
+    }
+    if (webhook.type === 'telegram') {
+        return {
+            chat_id: webhook.chatId,
+            photo: announcement.cover,
+            parse_mode: 'HTML',
+            caption: `📖 <b>${escapeTelegramHtml(announcement.series)}</b>\n` +
+                `${escapeTelegramHtml(announcement.chapterTitle)} sudah bisa dibaca!\n\n` +
+                `<a href="${escapeTelegramHtml(announcement.url)}">Baca sekarang</a>`
+        };
+    }
+    return announcement;
+}
+
+function getWebhookUrl(webhook) {
+    return webhook.url !== undefined ? webhook.url : process.env[webhook.urlEnv];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retries network errors, 429 (honouring Retry-After) and 5xx; other 4xx fail at once
+async function postWebhook(url, payload, retries) {
+    let lastError = null;
+    
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        let delay = NOTIFY_RETRY_DELAY_MS * Math.pow(2, attempt);
+        
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (response.ok) {
+                return { ok: true, attempts: attempt + 1 };
+            }
+            
+            lastError = `HTTP ${response.status}`;
+            if (response.status !== 429 && response.status < 500) {
+                return { ok: false, attempts: attempt + 1, error: lastError };
+            }
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            if (retryAfter >= 0) {
+                delay = retryAfter * 1000;
+            }
+        } catch (error) {
+            lastError = error.message;
+        }
+        
+        if (attempt < retries) {
+            await sleep(Math.min(delay, NOTIFY_MAX_RETRY_DELAY_MS));
+        }
+    }
+    return { ok: false, attempts: retries + 1, error: lastError };
+}
+
+async function commandNotify() {
+    console.log('📣 Announcing new chapters...\n');
+    
+    const config = loadCliConfig();
+    const notifications = config.notifications;
+    if (!notifications || !Array.isArray(notifications.webhooks) || notifications.webhooks.length === 0) {
+        console.log('ℹ️  No notifications.webhooks in manga-config.json - nothing to do');
+        return;
+    }
+    
+    const mangaData = loadJSON('manga.json');
+    if (!mangaData || !mangaData.manga) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    // --to <url> sends every payload to that URL (e.g. a local test server) and records nothing
+    const sendTo = getOption('to');
+    const dryRun = hasFlag('dry-run') || sendTo !== null;
+    const retries = notifications.retries !== undefined ? notifications.retries : NOTIFY_DEFAULT_RETRIES;
+    const { ledger, created } = loadAnnouncements();
+    const publicChapters = getPublicChapters(mangaData, config);
+    
+    const ledgerBefore = JSON.stringify(ledger);
+    const newWebhooks = seedNewWebhooks(ledger, notifications.webhooks, publicChapters, getWIBTimestamp());
+    newWebhooks.forEach(webhook => {
+        console.log(`📝 ${webhook.name}: new webhook - ${publicChapters.length} published chapter(s) marked as already announced`);
+    });
+    if (!dryRun && (created || JSON.stringify(ledger) !== ledgerBefore) && !saveJSON(ANNOUNCED_FILE, ledger)) {
+        process.exit(1);
+    }
+    
+    const pending = [];
+    publicChapters.forEach(chapter => {
+        notifications.webhooks.forEach(webhook => {
+            if (!isChapterAnnounced(ledger.chapters[chapter.folder], webhook.name)) {
+                pending.push({ chapter, webhook });
+            }
+        });
+    });
+    
+    // A new webhook has nothing pending yet - preview (or --to) it with the latest chapter
+    if (dryRun && publicChapters.length > 0) {
+        const latest = publicChapters.slice().sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))[0];
+        newWebhooks.forEach(webhook => pending.push({ chapter: latest, webhook, sample: true }));
+    }
+    
+    if (pending.length === 0) {
+        console.log('✅ No new chapters to announce');
+        return;
+    }
+    
+    let failed = 0;
+    
+    for (const { chapter, webhook, sample } of pending) {
+        const payload = buildWebhookPayload(webhook, buildAnnouncement(mangaData, chapter, config));
+        const label = `${chapter.folder} → ${webhook.name} (${webhook.type})${sample ? ' - sample for the new webhook' : ''}`;
+        
+        if (dryRun && !sendTo) {
+            console.log(`🧪 ${label}`);
+            console.log(JSON.stringify(payload, null, 2).split('\n').map(line => `     ${line}`).join('\n'));
+            continue;
+        }
+        
+        const url = sendTo || getWebhookUrl(webhook);
+        if (!url) {
+            console.warn(`⚠️  ${label}: ${webhook.urlEnv} is not set - skipped`);
+            failed++;
+            continue;
+        }
+        
+        const result = await postWebhook(url, payload, retries);
+        if (!result.ok) {
+            console.error(`❌ ${label}: ${result.error} after ${result.attempts} attempt(s)`);
+            failed++;
+            continue;
+        }
+        console.log(`✅ ${label}${result.attempts > 1 ? ` (attempt ${result.attempts})` : ''}`);
+        
+        if (!dryRun) {
+            const sentAt = getWIBTimestamp();
+            const entry = ledger.chapters[chapter.folder] || { announcedAt: sentAt, webhooks: {} };
+            entry.webhooks = Object.assign({}, entry.webhooks, { [webhook.name]: sentAt });
+            ledger.chapters[chapter.folder] = entry;
+            
+            // Saved after every send so a crash never causes a repeat
+            if (!saveJSON(ANNOUNCED_FILE, ledger)) {
+                process.exit(1);
+            }
+        }
+    }
+    
+    if (dryRun) {
+        console.log(`\n🧪 Dry run - ${ANNOUNCED_FILE} not written${sendTo ? ` (sent to ${sendTo} instead of the real webhooks)` : ''}`);
+    }
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} announcement(s) not sent - they will be retried on the next run`);
+        process.exit(1);
+    }
+}
+
+// ============================================
+// MULTI-SERIES (--root / --series)
+// ============================================
+
+const SERIES_CONFIG_FILE = 'manga-config.json';
+const SERIES_INDEX_DEFAULT_FILE = 'series-index.json';
+
+// Pulls --root / --series / --index out of the CLI args, so the per-series
+// commands see exactly the args they would get in a single-series repo
+function extractSeriesOptions(args) {
+    const options = { root: null, series: null, index: null };
+    const rest = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--(root|series|index)(?:=(.*))?$/);
+        if (!match) {
+            rest.push(args[i]);
+            continue;
+        }
+        if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else {
+            options[match[1]] = args[i + 1];
+            i++;
+        }
+        if (!options[match[1]]) {
+            console.error(`❌ --${match[1]} needs a value`);
+            process.exit(1);
+        }
+    }
+    return { options, rest };
+}
+
+function isSeriesDir(dir) {
+    return fs.existsSync(path.join(dir, SERIES_CONFIG_FILE));
+}
+
+// "--series a,b,c" → those folders; "--series parent" → every subfolder of
+// parent that has a manga-config.json
+function resolveSeriesDirs(value) {
+    const dirs = value.split(',').map(dir => dir.trim()).filter(Boolean);
+    
+    if (dirs.length === 1 && fs.existsSync(dirs[0]) && !isSeriesDir(dirs[0])) {
+        const parent = dirs[0];
+        const children = fs.readdirSync(parent, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => path.join(parent, entry.name))
+            .filter(isSeriesDir)
+            .sort();
+        
+        if (children.length === 0) {
+            console.error(`❌ No series folders (with ${SERIES_CONFIG_FILE}) found in ${parent}`);
+            process.exit(1);
+        }
+        return children;
+    }
+    
+    const missing = dirs.filter(dir => !isSeriesDir(dir));
+    if (missing.length > 0) {
+        console.error(`❌ Not a series folder (no ${SERIES_CONFIG_FILE}): ${missing.join(', ')}`);
+        process.exit(1);
+    }
+    return dirs;
+}
+
+// Each series runs in its own process so one failing series (process.exit)
+// does not stop the others
+function runForEachSeries(dirs, args) {
+    return dirs.map(dir => {
+        console.log(`\n📚 ━━━ ${dir} ━━━\n`);
+        try {
+            execFileSync(process.execPath, [__filename, ...args], { cwd: dir, stdio: 'inherit' });
+            return { dir, ok: true };
+        } catch (error) {
+            return { dir, ok: false, code: error.status };
+        }
+    });
+}
+
+function printSeriesSummary(command, results) {
+    console.log(`\n📋 ${command} - ${results.length} series:`);
+    results.forEach(result => {
+        const mangaData = loadJSON(path.join(result.dir, 'manga.json'));
+        const title = mangaData && mangaData.manga ? ` - ${mangaData.manga.title}` : '';
+        const status = result.ok ? '✅' : `❌ (exit ${result.code})`;
+        console.log(`   ${status} ${result.dir}${title}`);
+    });
+}
+
+function buildSeriesIndexEntry(dir) {
+    const mangaData = loadJSON(path.join(dir, 'manga.json'));
+    const config = loadJSON(path.join(dir, SERIES_CONFIG_FILE));
+    if (!mangaData || !mangaData.manga || !config) return null;
+    
+    const chapters = Object.values(mangaData.chapters || {});
+    const latest = chapters
+        .filter(chapter => !chapter.locked)
+        .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))[0];
+    
+    return {
+        dir: dir,
+        repo: `${config.repoOwner}/${config.repoName}`,
+        url: getSeriesUrl(config),
+        title: mangaData.manga.title,
+        cover: mangaData.manga.cover,
+        status: mangaData.manga.status,
+        type: mangaData.manga.type,
+        totalChapters: chapters.length,
+        latestChapter: latest ? {
+            folder: latest.folder,
+            title: latest.title,
+            uploadDate: latest.uploadDate
+        } : null,
+        lastChapterUpdate: mangaData.lastChapterUpdate
+    };
+}
+
+// No timestamp on purpose: the file only changes when a series does
+function writeSeriesIndex(dirs, indexFile) {
+    const series = [];
+    dirs.forEach(dir => {
+        const entry = buildSeriesIndexEntry(dir);
+        if (entry) {
+            series.push(entry);
+        } else {
+            console.warn(`⚠️  ${dir}: no manga.json yet - left out of ${indexFile}`);
+        }
+    });
+    
+    if (!saveJSON(indexFile, { series })) {
+        return false;
+    }
+    console.log(`\n🗂️  ${indexFile} written (${series.length} series)`);
+    return true;
+}
+
+// Returns true when the command was handled here (multi-series mode)
+function runSeriesMode(command, options, rest) {
+    if (command === 'index' && !options.series) {
+        console.error('❌ index needs --series <dir,dir,...> or --series <parent dir>');
+        process.exit(1);
+    }
+    
+    if (options.root) {
+        if (!isSeriesDir(options.root)) {
+            console.error(`❌ Not a series folder (no ${SERIES_CONFIG_FILE}): ${options.root}`);
+            process.exit(1);
+        }
+        process.chdir(options.root);
+        return false;
+    }
+    
+    if (!options.series) {
+        return false;
+    }
+    
+    const dirs = resolveSeriesDirs(options.series);
+    const indexFile = options.index || SERIES_INDEX_DEFAULT_FILE;
+    let ok = true;
+    
+    if (command !== 'index') {
+        const results = runForEachSeries(dirs, rest);
+        printSeriesSummary(command, results);
+        ok = results.every(result => result.ok);
+    }
+    
+    const writesIndex = command === 'index' || (command === 'generate' && !rest.includes('--dry-run'));
+    if (writesIndex && !writeSeriesIndex(dirs, indexFile)) {
+        ok = false;
+    }
+    
+    if (!ok) {
+        process.exit(1);
+    }
+    return true;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+    const { options: seriesOptions, rest } = extractSeriesOptions(process.argv.slice(2));
+    process.argv = [...process.argv.slice(0, 2), ...rest];
+    const command = process.argv[2];
+    
+    console.log('╔════════════════════════════════════════╗');
+    console.log('║ MANGA AUTOMATION v7.0 - SIMPLIFIED    ║');
+    console.log('║ ✅ Cloudflare Worker Integration      ║');
+    console.log('║ ✅ WIB Timezone (GMT+7)               ║');
+    console.log('║ ✅ Manifest-based Detection           ║');
+    console.log('║ 🎯 Oneshot Support                    ║');
+    console.log('║ 🔒 Locked Chapters                     ║');
+    console.log('╚════════════════════════════════════════╝\n');
+    
+    if (runSeriesMode(command, seriesOptions, rest)) {
+        return;
+    }
+    
+    switch (command) {
+        case 'generate':
+            commandGenerate();
+            break;
+        case 'cleanup':
+            commandCleanup();
+            break;
+        case 'validate':
+            commandValidate();
+            break;
+        case 'unlock':
+            commandUnlock();
+            break;
+        case 'feed':
+            commandFeed();
+            break;
+        case 'stats':
+            commandStats();
+            break;
+        case 'merge-views':
+            commandMergeViews();
+            break;
+        case 'import':
+            commandImport();
+            break;
+        case 'compact-views':
+            commandCompactViews();
+            break;
+        case 'reconcile':
+            commandReconcile();
+            break;
+        case 'dates':
+            commandDates();
+            break;
+        case 'history':
+            commandHistory();
+            break;
+        case 'seo':
+            commandSeo();
+            break;
+        case 'hash-pages':
+            commandHashPages();
+            break;
+        case 'manifest':
+            commandBuildManifest();
+            break;
+        case 'notify':
+            commandNotify().catch(error => {
+                if (error instanceof MangaAutomationError) {
+                    reportError(error);
+                } else {
+                    console.error('❌ notify failed:', error.message);
+                }
+                process.exit(1);
+            });
+            break;
+        case 'verify-pages':
+            commandVerifyPages().catch(error => {
+                console.error('❌ verify-pages failed:', error.message);
+                process.exit(1);
+            });
+            break;
+        default:
+            console.log('Usage:');
+            console.log('  node manga-automation.js generate → Generate manga.json from chapter folders');
+            console.log('  node manga-automation.js cleanup  → Merge old pending files + compact daily-views.json');
+            console.log('  node manga-automation.js merge-views [--dry-run] → Add pending-*views.json counts to manga.json + daily-views.json');
+            console.log('  node manga-automation.js validate → Check every chapter manifest against the schema');
+            console.log('  node manga-automation.js unlock   → Regenerate if a scheduled unlock time has passed');
+            console.log('  node manga-automation.js feed     → Write feed.xml (Atom) + rss.xml from manga.json');
+            console.log('  node manga-automation.js stats    → Write stats.json (trending, retention, peaks)');
+            console.log('  node manga-automation.js compact-views [--dry-run] → Roll old daily views into weekly/monthly');
+            console.log('  node manga-automation.js reconcile [--rebuild [--dry-run]] → Cross-check manga.json views with daily-views.json');
+            console.log('  node manga-automation.js dates [list | pin <chapter> <date> | reset <chapter>] → Show / correct recorded upload dates');
+            console.log('  node manga-automation.js history [--limit N] [--chapter X] → Print the release history');
+            console.log('  node manga-automation.js seo      → Write sitemap.xml + structured-data.json (JSON-LD) from manga.json');
+            console.log('  node manga-automation.js hash-pages <chapter> <image folder> [--dry-run] → Store page sha256 + size in manifest.json');
+            console.log('  node manga-automation.js verify-pages [chapter...] --mirror <folder | url> → Check mirrored images against the manifests');
+            console.log('  node manga-automation.js manifest <chapter> [image folder] [--cdn-base <url>] [--pad N] [--dry-run] [--force] → Build manifest.json from page images');
+            console.log('  node manga-automation.js import <export.json...> [--fields a,b] [--lang id,en] [--write] [--force] → Fill manga-config.json from a saved MangaDex API response');
+            console.log('  node manga-automation.js notify [--dry-run] [--to <url>] → Post newly published chapters to the configured webhooks');
+            console.log('  node manga-automation.js index --series <dirs> [--index <file>] → Write the combined series index');
+            console.log('');
+            console.log('  Any command: --root <dir> → run in that series folder');
+            console.log('               --series <dir,dir,...|parent> → run in every series (generate also writes series-index.json)');
             console.log('');
             console.log('💡 View tracking is now handled by Cloudflare Worker');
             console.log('   Worker updates manga.json daily at 00:00 WIB');
@@ -480,4 +4500,93 @@ function main() {
     }
 }
 
-main();
+// CLI entry: typed errors from the reusable functions become ❌ + exit 1
+function runCli() {
+    try {
+        main();
+    } catch (error) {
+        if (error instanceof MangaAutomationError) {
+            reportError(error);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// MODULE API
+// ============================================
+// require('./manga-automation.js') gives the functions below without running
+// the CLI. They take rootDir / config / now explicitly and throw ConfigError /
+// DataFileError instead of exiting. Only the writers touch files, all under rootDir.
+
+module.exports = {
+    // Errors
+    MangaAutomationError,
+    ConfigError,
+    DataFileError,
+    
+    // Config + chapters
+    loadConfig,
+    loadConfigWithWarnings,
+    validateConfig,
+    getConfigWarnings,
+    readChapterFolderNames,
+    loadManifest,
+    validateManifest,
+    validateChapterManifests,
+    getTotalPagesFromManifest,
+    getChapterMetadata,
+    getChapterType,
+    getChapterTitle,
+    getChapterNumber,
+    compareChapterNames,
+    isChapterLocked,
+    isChapterAwaitingUpload,
+    buildMangaDexImport,
+    diffImportedConfig,
+    
+    // manga.json
+    loadUploadDates,
+    generateChaptersData,
+    buildMangaData,
+    diffMangaData,
+    analyseChapterSequence,
+    buildHistoryEvents,
+    
+    // Writers (everything under rootDir)
+    saveJSONFiles,
+    renameAll,
+    writeMangaData,
+    saveUploadDates,
+    appendHistory,
+    writeFeeds,
+    writeSiteData,
+    
+    // Derived outputs
+    getFeedChapters,
+    buildAtomFeed,
+    buildRssFeed,
+    buildSitemap,
+    buildStructuredData,
+    buildAnnouncement,
+    buildWebhookPayload,
+    buildStats,
+    compactDailyViews,
+    reconcileViews,
+    parsePendingViews,
+    applyPendingViews,
+    
+    // CLI helpers
+    getOption,
+    
+    // WIB time helpers
+    getWIBTimestamp,
+    getWIBDate,
+    convertToWIB,
+    parseWIBDateTime
+};
+
+if (require.main === module) {
+    runCli();
+}
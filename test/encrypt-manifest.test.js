@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const crypt = require('../encrypt-manifest.js');
+const { copyFixture, removeDir, readJSON, writeJSON, silenceConsole } = require('./helpers.js');
+
+const TOKEN = 'test-token-0123456789abcdef';
+
+before(silenceConsole);
+after(() => mock.restoreAll());
+
+describe('encryptManifest', () => {
+    let rootDir;
+    let manifestPath;
+    beforeEach(() => {
+        rootDir = copyFixture('series');
+        manifestPath = path.join(rootDir, '1', 'manifest.json');
+    });
+    afterEach(() => removeDir(rootDir));
+    
+    ['1.0', '2.0'].forEach(version => {
+        it(`encrypts a plaintext manifest (v${version}) that decrypts back to the same pages`, () => {
+            const plainPages = readJSON(rootDir, '1/manifest.json').pages;
+            
+            assert.equal(crypt.encryptManifest(manifestPath, TOKEN, version), true);
+            
+            const manifest = readJSON(rootDir, '1/manifest.json');
+            assert.equal(manifest.encrypted, true);
+            assert.equal(manifest.encryption_version, version);
+            assert.ok(manifest.pages.every(page => crypt.isEncrypted(page)));
+            assert.deepEqual(crypt.decryptManifest(manifestPath, TOKEN).pages, plainPages);
+        });
+    });
+    
+    it('needs the version passed explicitly', () => {
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN), { code: 'UNSUPPORTED_VERSION' });
+        assert.throws(() => crypt.applyEncryption({}, ['page'], TOKEN), { code: 'UNSUPPORTED_VERSION' });
+    });
+    
+    it('returns false for an already encrypted manifest', () => {
+        crypt.encryptManifest(manifestPath, TOKEN, '1.0');
+        assert.equal(crypt.encryptManifest(manifestPath, TOKEN, '1.0'), false);
+    });
+    
+    it('throws MIXED_PAGES for half-encrypted manifests', () => {
+        crypt.encryptManifest(manifestPath, TOKEN, '1.0');
+        const manifest = readJSON(rootDir, '1/manifest.json');
+        manifest.pages[0] = 'https://cdn.example.com/FixtureSeries/1/Image01.webp';
+        writeJSON(rootDir, '1/manifest.json', manifest);
+        
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN, '1.0'), { name: 'ManifestCryptoError', code: 'MIXED_PAGES' });
+    });
+    
+    it('throws NO_PAGES, MANIFEST_UNREADABLE and UNSUPPORTED_VERSION instead of returning false', () => {
+        writeJSON(rootDir, '1/manifest.json', { total_pages: 0 });
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN, '1.0'), { code: 'NO_PAGES' });
+        
+        writeJSON(rootDir, '1/manifest.json', { total_pages: 0, pages: [] });
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN, '1.0'), { code: 'NO_PAGES' });
+        assert.equal(readJSON(rootDir, '1/manifest.json').encrypted, undefined);
+        
+        fs.writeFileSync(manifestPath, '{', 'utf8');
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN, '1.0'), { code: 'MANIFEST_UNREADABLE' });
+        
+        assert.throws(() => crypt.encryptManifest(manifestPath, TOKEN, '3.0'), { code: 'UNSUPPORTED_VERSION' });
+    });
+});
+
+describe('decryptPages', () => {
+    it('throws PAGE_DECRYPT_FAILED with the page index for a wrong token', () => {
+        const rootDir = copyFixture('series');
+        const manifestPath = path.join(rootDir, '2', 'manifest.json');
+        crypt.encryptManifest(manifestPath, TOKEN, '2.0');
+        
+        assert.throws(() => crypt.decryptPages(readJSON(rootDir, '2/manifest.json'), 'wrong-token'), error => {
+            assert.ok(error instanceof crypt.ManifestCryptoError);
+            assert.equal(error.code, 'PAGE_DECRYPT_FAILED');
+            assert.equal(error.pageIndex, 0);
+            return true;
+        });
+        removeDir(rootDir);
+    });
+});
+
+describe('encrypt / rotate / migrate (CLI)', () => {
+    const SCRIPT = path.join(__dirname, '..', 'encrypt-manifest.js');
+    const NEW_TOKEN = 'new-token-fedcba9876543210';
+    
+    function run(rootDir, args, env) {
+        const { ENCRYPTION_VERSION, ...baseEnv } = process.env;
+        return execFileSync(process.execPath, [SCRIPT, ...args], { cwd: rootDir, env: { ...baseEnv, ...env }, stdio: 'pipe' });
+    }
+    
+    it('encrypt writes 2.0 unless ENCRYPTION_VERSION asks for 1.0', () => {
+        const rootDir = copyFixture('series');
+        run(rootDir, [], { SECRET_TOKEN: TOKEN });
+        assert.equal(readJSON(rootDir, '1/manifest.json').encryption_version, '2.0');
+        removeDir(rootDir);
+        
+        const legacy = copyFixture('series');
+        run(legacy, [], { SECRET_TOKEN: TOKEN, ENCRYPTION_VERSION: '1.0' });
+        assert.equal(readJSON(legacy, '1/manifest.json').encryption_version, '1.0');
+        removeDir(legacy);
+    });
+    
+    it('encrypt picks up a manifest whose first page is encrypted but not the rest, and exits 1', () => {
+        const rootDir = copyFixture('series');
+        ['1', '2', '3'].forEach(folder => crypt.encryptManifest(path.join(rootDir, folder, 'manifest.json'), TOKEN, '2.0'));
+        const manifest = readJSON(rootDir, '2/manifest.json');
+        manifest.pages[1] = 'https://cdn.example.com/FixtureSeries/2/Image02.webp';
+        writeJSON(rootDir, '2/manifest.json', manifest);
+        
+        assert.throws(() => run(rootDir, [], { SECRET_TOKEN: TOKEN }), error => {
+            assert.equal(error.status, 1);
+            assert.match(error.stdout.toString(), /Partly encrypted \(1 plaintext page\(s\)\): 2\/manifest\.json/);
+            assert.match(error.stderr.toString(), /mixed encrypted\/plaintext pages/);
+            return true;
+        });
+        removeDir(rootDir);
+    });
+    
+    it('rotate keeps the version of every manifest', () => {
+        const rootDir = copyFixture('series');
+        crypt.encryptManifest(path.join(rootDir, '1', 'manifest.json'), TOKEN, '1.0');
+        crypt.encryptManifest(path.join(rootDir, '2', 'manifest.json'), TOKEN, '2.0');
+        
+        run(rootDir, ['rotate'], { OLD_SECRET_TOKEN: TOKEN, NEW_SECRET_TOKEN: NEW_TOKEN });
+        
+        assert.equal(readJSON(rootDir, '1/manifest.json').encryption_version, '1.0');
+        assert.equal(readJSON(rootDir, '2/manifest.json').encryption_version, '2.0');
+        assert.equal(readJSON(rootDir, '1/manifest.json').key_id, crypt.getKeyId(NEW_TOKEN));
+        removeDir(rootDir);
+    });
+    
+    it('migrate refuses to run with ENCRYPTION_VERSION=1.0', () => {
+        const rootDir = copyFixture('series');
+        const manifestPath = path.join(rootDir, '1', 'manifest.json');
+        crypt.encryptManifest(manifestPath, TOKEN, '1.0');
+        
+        assert.throws(() => run(rootDir, ['migrate'], { SECRET_TOKEN: TOKEN, ENCRYPTION_VERSION: '1.0' }), { status: 1 });
+        assert.equal(readJSON(rootDir, '1/manifest.json').encryption_version, '1.0');
+        
+        run(rootDir, ['migrate'], { SECRET_TOKEN: TOKEN });
+        assert.equal(readJSON(rootDir, '1/manifest.json').encryption_version, '2.0');
+        assert.equal(crypt.decryptManifest(manifestPath, TOKEN).pages.length, 2);
+        removeDir(rootDir);
+    });
+});
+
+describe('writeFilesAtomically', () => {
+    it('restores every original when a rename fails partway through', t => {
+        const rootDir = copyFixture('series');
+        const files = ['1', '2', '3'].map(folder => path.join(rootDir, folder, 'manifest.json'));
+        const originals = files.map(filePath => fs.readFileSync(filePath, 'utf8'));
+        
+        const renameSync = fs.renameSync;
+        let renames = 0;
+        t.mock.method(fs, 'renameSync', (from, to) => {
+            if (++renames === 2) throw new Error('disk full');
+            return renameSync(from, to);
+        });
+        
+        assert.throws(() => crypt.writeFilesAtomically(files.map(filePath => ({ filePath, content: '{"rotated":true}' }))), {
+            code: 'MANIFEST_WRITE_FAILED',
+            message: /all originals restored/
+        });
+        
+        assert.deepEqual(files.map(filePath => fs.readFileSync(filePath, 'utf8')), originals);
+        ['1', '2', '3'].forEach(folder => assert.deepEqual(fs.readdirSync(path.join(rootDir, folder)), ['manifest.json']));
+        removeDir(rootDir);
+    });
+});
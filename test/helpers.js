@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Fresh copy of a fixture series in the OS temp dir - tests write there, never in the repo
+function copyFixture(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+    fs.cpSync(path.join(FIXTURES_DIR, name), dir, { recursive: true });
+    return dir;
+}
+
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function readJSON(dir, file) {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+function writeJSON(dir, file, data) {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2), 'utf8');
+}
+
+// The scripts narrate everything they do; keep the test output readable
+function silenceConsole() {
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+}
+
+module.exports = {
+    copyFixture,
+    removeDir,
+    readJSON,
+    writeJSON,
+    silenceConsole
+};
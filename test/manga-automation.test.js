@@ -0,0 +1,528 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { promisify } = require('util');
+const { execFile, execFileSync } = require('child_process');
+const path = require('path');
+
+const automation = require('../manga-automation.js');
+const { copyFixture, removeDir, readJSON, writeJSON, silenceConsole } = require('./helpers.js');
+
+// Before / after the scheduled unlock of chapter 3 (2026-03-20 19:00 WIB)
+const BEFORE_UNLOCK = new Date('2026-03-10T05:00:00Z');
+const AFTER_UNLOCK = new Date('2026-03-21T05:00:00Z');
+
+before(silenceConsole);
+after(() => mock.restoreAll());
+
+describe('loadConfig', () => {
+    let rootDir;
+    beforeEach(() => { rootDir = copyFixture('series'); });
+    afterEach(() => removeDir(rootDir));
+    
+    it('reads and validates the config of rootDir', () => {
+        const config = automation.loadConfig(rootDir);
+        assert.equal(config.repoName, 'FixtureSeries');
+    });
+    
+    it('throws ConfigError CONFIG_INVALID with every problem listed', () => {
+        const config = readJSON(rootDir, 'manga-config.json');
+        config.status = 'DONE';
+        config.cover = 'not a url';
+        writeJSON(rootDir, 'manga-config.json', config);
+        
+        assert.throws(() => automation.loadConfig(rootDir), error => {
+            assert.ok(error instanceof automation.ConfigError);
+            assert.equal(error.code, 'CONFIG_INVALID');
+            assert.equal(error.problems.length, 2);
+            return true;
+        });
+    });
+    
+    it('throws ConfigError CONFIG_UNREADABLE for broken JSON', () => {
+        fs.writeFileSync(path.join(rootDir, 'manga-config.json'), '{', 'utf8');
+        assert.throws(() => automation.loadConfig(rootDir), { code: 'CONFIG_UNREADABLE' });
+    });
+});
+
+describe('loadUploadDates', () => {
+    it('throws DataFileError LEDGER_INVALID for a ledger without chapters', () => {
+        const rootDir = copyFixture('series');
+        writeJSON(rootDir, 'upload-dates.json', { entries: [] });
+        
+        assert.throws(() => automation.loadUploadDates(rootDir), error => {
+            assert.ok(error instanceof automation.DataFileError);
+            assert.equal(error.code, 'LEDGER_INVALID');
+            return true;
+        });
+        removeDir(rootDir);
+    });
+});
+
+describe('buildMangaData', () => {
+    let rootDir;
+    beforeEach(() => { rootDir = copyFixture('series'); });
+    afterEach(() => removeDir(rootDir));
+    
+    it('builds every chapter of rootDir without writing anything', () => {
+        const { mangaData, changes } = automation.buildMangaData({ rootDir, now: BEFORE_UNLOCK });
+        
+        assert.deepEqual(Object.keys(mangaData.chapters), ['1', '2', '3']);
+        assert.equal(mangaData.chapters['2'].totalPages, 3);
+        assert.equal(mangaData.chapters['1'].uploadDate, '2026-01-05T19:00:00+07:00');
+        assert.equal(mangaData.lastUpdated, automation.getWIBTimestamp(BEFORE_UNLOCK));
+        assert.equal(changes.firstTime, true);
+        assert.equal(fs.existsSync(path.join(rootDir, 'manga.json')), false);
+    });
+    
+    it('follows the injected clock for scheduled unlocks', () => {
+        const locked = automation.buildMangaData({ rootDir, now: BEFORE_UNLOCK }).mangaData;
+        const unlocked = automation.buildMangaData({ rootDir, now: AFTER_UNLOCK, oldMangaData: locked }).mangaData;
+        
+        assert.equal(locked.chapters['3'].locked, true);
+        assert.deepEqual(locked.manga.lockedChapters, ['3']);
+        assert.equal(unlocked.chapters['3'].locked, false);
+    });
+    
+    it('reports new chapter folders against the previous manga.json', () => {
+        const first = automation.buildMangaData({ rootDir, now: BEFORE_UNLOCK });
+        
+        fs.mkdirSync(path.join(rootDir, '4'));
+        writeJSON(rootDir, '4/manifest.json', { pages: ['https://cdn.example.com/FixtureSeries/4/Image01.webp'], total_pages: 1 });
+        
+        const second = automation.buildMangaData({ rootDir, now: BEFORE_UNLOCK, oldMangaData: first.mangaData, uploadDates: first.uploadDates });
+        assert.deepEqual(second.changes.chapters.added, ['4']);
+        assert.equal(second.changes.structural, true);
+    });
+});
+
+describe('writeMangaData', () => {
+    it('writes every generated file into rootDir, stamped with the injected clock', () => {
+        const rootDir = copyFixture('series');
+        const cwdBefore = fs.readdirSync(process.cwd());
+        const config = automation.loadConfig(rootDir);
+        const result = automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK });
+        
+        assert.equal(automation.writeMangaData(result, { rootDir, config, now: BEFORE_UNLOCK }), true);
+        
+        ['manga.json', 'upload-dates.json', 'chapter-history.json', 'feed.xml', 'rss.xml', 'sitemap.xml', 'structured-data.json']
+            .forEach(file => assert.ok(fs.existsSync(path.join(rootDir, file)), `${file} written`));
+        assert.deepEqual(fs.readdirSync(process.cwd()), cwdBefore);
+        
+        // Second run: the unlock of chapter 3 is recorded at the injected time
+        const later = automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK });
+        automation.writeMangaData(later, { rootDir, config, now: AFTER_UNLOCK });
+        
+        const events = readJSON(rootDir, 'chapter-history.json').events;
+        const unlocked = events.find(event => event.type === 'unlocked');
+        assert.equal(unlocked.chapter, '3');
+        assert.equal(unlocked.at, automation.getWIBTimestamp(AFTER_UNLOCK));
+        
+        removeDir(rootDir);
+    });
+    
+    it('does not record history when manga.json cannot be written', () => {
+        const rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK }), { rootDir, config, now: BEFORE_UNLOCK });
+        const historyBefore = readJSON(rootDir, 'chapter-history.json');
+        
+        const writeFileSync = fs.writeFileSync;
+        mock.method(fs, 'writeFileSync', (file, ...rest) => {
+            if (String(file).endsWith('manga.json.tmp')) throw new Error('disk full');
+            return writeFileSync(file, ...rest);
+        });
+        const later = automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK });
+        assert.equal(automation.writeMangaData(later, { rootDir, config, now: AFTER_UNLOCK }), false);
+        fs.writeFileSync.mock.restore();
+        assert.deepEqual(readJSON(rootDir, 'chapter-history.json'), historyBefore);
+        
+        // The re-run records the unlock exactly once
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK }), { rootDir, config, now: AFTER_UNLOCK });
+        const unlocked = readJSON(rootDir, 'chapter-history.json').events.filter(event => event.type === 'unlocked');
+        assert.equal(unlocked.length, 1);
+        
+        removeDir(rootDir);
+    });
+});
+
+describe('buildStructuredData', () => {
+    it('names the author and the artist of the series as people', () => {
+        const rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        const { series } = automation.buildStructuredData(automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK }).mangaData, config);
+        
+        assert.deepEqual(series.author, { '@type': 'Person', name: 'Test Author' });
+        assert.deepEqual(series.artist, { '@type': 'Person', name: 'Test Artist' });
+        removeDir(rootDir);
+    });
+});
+
+describe('validateChapterManifests', () => {
+    it('reports missing and inconsistent manifests in rootDir', () => {
+        const rootDir = copyFixture('series');
+        fs.rmSync(path.join(rootDir, '1', 'manifest.json'));
+        writeJSON(rootDir, '2/manifest.json', { pages: ['https://cdn.example.com/FixtureSeries/2/Image01.webp'], total_pages: 2 });
+        
+        const results = automation.validateChapterManifests(automation.loadConfig(rootDir), rootDir);
+        const byFolder = Object.fromEntries(results.map(result => [result.folder, result]));
+        
+        assert.deepEqual(byFolder['1'].errors, ['manifest.json is missing']);
+        assert.equal(byFolder['2'].errors.length, 1);
+        assert.deepEqual(byFolder['3'].errors, []);
+        removeDir(rootDir);
+    });
+});
+
+describe('scheduled chapters', () => {
+    let rootDir;
+    beforeEach(() => { rootDir = copyFixture('series'); });
+    afterEach(() => removeDir(rootDir));
+    
+    it('never records a future unlockAt and leaves locked chapters out of lastChapterUpdate', () => {
+        const { mangaData, uploadDates } = automation.buildMangaData({ rootDir, now: BEFORE_UNLOCK });
+        
+        assert.ok(new Date(mangaData.chapters['3'].uploadDate) <= BEFORE_UNLOCK);
+        assert.equal(uploadDates.ledger.chapters['3'].source, 'placeholder');
+        assert.equal(mangaData.lastChapterUpdate, '2026-02-02T19:00:00+07:00');
+    });
+    
+    it('records unlockAt once the chapter is released', () => {
+        const { mangaData, uploadDates } = automation.buildMangaData({ rootDir, now: AFTER_UNLOCK });
+        
+        assert.equal(mangaData.chapters['3'].uploadDate, '2026-03-20T19:00:00+07:00');
+        assert.equal(uploadDates.ledger.chapters['3'].source, 'schedule');
+        assert.equal(mangaData.lastChapterUpdate, '2026-03-20T19:00:00+07:00');
+    });
+    
+    it('keeps a due chapter locked until its manifest.json exists', () => {
+        fs.rmSync(path.join(rootDir, '3'), { recursive: true });
+        
+        const { mangaData } = automation.buildMangaData({ rootDir, now: AFTER_UNLOCK });
+        assert.equal(mangaData.chapters['3'].locked, true);
+        assert.deepEqual(mangaData.manga.lockedChapters, ['3']);
+    });
+});
+
+describe('specialChapters folder names', () => {
+    const HOSTILE_FOLDER = 'x$(touch pwned)';
+    
+    it('rejects folder names outside the safe character set', () => {
+        const rootDir = copyFixture('series');
+        const config = readJSON(rootDir, 'manga-config.json');
+        config.specialChapters = {
+            [HOSTILE_FOLDER]: { type: 'extra', sortKey: 9 },
+            'vol1-bonus_2.5': { type: 'special', sortKey: 10 }
+        };
+        
+        const errors = automation.validateConfig(config, ['1', '2', '3']);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /specialChapters\.x\$\(touch pwned\)/);
+        removeDir(rootDir);
+    });
+    
+    it('never hands a folder name to a shell when reading git dates', () => {
+        const rootDir = copyFixture('series');
+        const config = readJSON(rootDir, 'manga-config.json');
+        config.specialChapters = { [HOSTILE_FOLDER]: { type: 'extra', sortKey: 9 } };
+        fs.mkdirSync(path.join(rootDir, HOSTILE_FOLDER));
+        writeJSON(rootDir, `${HOSTILE_FOLDER}/manifest.json`, { pages: ['https://cdn.example.com/FixtureSeries/x/Image01.webp'], total_pages: 1 });
+        
+        const git = args => execFileSync('git', args, { cwd: rootDir, stdio: 'pipe' });
+        git(['init', '-q']);
+        git(['add', '-A']);
+        git(['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'fixture', '--date', '2026-01-01T00:00:00Z']);
+        
+        // Config passed in directly, so validation does not stop it first
+        const { uploadDates } = automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK });
+        
+        assert.equal(uploadDates.ledger.chapters[HOSTILE_FOLDER].source, 'git-manifest');
+        assert.equal(fs.existsSync(path.join(rootDir, 'pwned')), false);
+        removeDir(rootDir);
+    });
+});
+
+describe('stats (CLI)', () => {
+    it('skips without failing when there is no daily-views.json yet', () => {
+        const rootDir = copyFixture('series');
+        
+        execFileSync(process.execPath, [path.join(__dirname, '..', 'manga-automation.js'), 'stats'], { cwd: rootDir, stdio: 'pipe' });
+        assert.equal(fs.existsSync(path.join(rootDir, 'stats.json')), false);
+        removeDir(rootDir);
+    });
+});
+
+describe('verify-pages (CLI)', () => {
+    it('never reads an integrity file outside the chapter folder', () => {
+        const rootDir = copyFixture('series');
+        const mirror = path.join(rootDir, 'mirror');
+        fs.mkdirSync(path.join(mirror, '1'), { recursive: true });
+        const secret = Buffer.from('not a page');
+        fs.writeFileSync(path.join(mirror, 'secret.webp'), secret);
+        
+        const manifest = readJSON(rootDir, '1/manifest.json');
+        const entry = { file: '../secret.webp', sha256: crypto.createHash('sha256').update(secret).digest('hex'), size: secret.length };
+        manifest.integrity = manifest.pages.map(() => entry);
+        writeJSON(rootDir, '1/manifest.json', manifest);
+        
+        assert.throws(() => execFileSync(process.execPath, [path.join(__dirname, '..', 'manga-automation.js'), 'verify-pages', '1', '--mirror', mirror], { cwd: rootDir, stdio: 'pipe' }), error => {
+            assert.equal(error.status, 1);
+            assert.match(error.stdout.toString(), /page 1: "file" must be a plain file name \(got "\.\.\/secret\.webp"\) - not read/);
+            return true;
+        });
+        removeDir(rootDir);
+    });
+});
+
+describe('merge-views (CLI)', () => {
+    const SCRIPT = path.join(__dirname, '..', 'manga-automation.js');
+    let rootDir;
+    
+    beforeEach(() => {
+        rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        const result = automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK });
+        automation.writeMangaData(result, { rootDir, config, now: BEFORE_UNLOCK });
+    });
+    afterEach(() => removeDir(rootDir));
+    
+    const mergeViews = () => execFileSync(process.execPath, [SCRIPT, 'merge-views'], { cwd: rootDir, stdio: 'pipe' });
+    
+    it('counts a later pending file with the same content on another day', () => {
+        // No timestamp inside - the day comes from the file's mtime
+        const pendingPath = path.join(rootDir, 'pending-views.json');
+        writeJSON(rootDir, 'pending-views.json', { pendingViews: 5 });
+        fs.utimesSync(pendingPath, new Date('2026-03-01T05:00:00Z'), new Date('2026-03-01T05:00:00Z'));
+        mergeViews();
+        writeJSON(rootDir, 'pending-views.json', { pendingViews: 5 });
+        fs.utimesSync(pendingPath, new Date('2026-03-02T05:00:00Z'), new Date('2026-03-02T05:00:00Z'));
+        mergeViews();
+        
+        assert.equal(readJSON(rootDir, 'manga.json').manga.views, 10);
+        assert.equal(readJSON(rootDir, 'merged-views.json').merged.length, 2);
+        assert.equal(fs.existsSync(path.join(rootDir, 'pending-views.json')), false);
+    });
+    
+    it('counts a second outage file from the same day', () => {
+        writeJSON(rootDir, 'pending-views.json', { pendingViews: 5, lastUpdate: '2026-03-01T10:00:00+07:00' });
+        mergeViews();
+        writeJSON(rootDir, 'pending-views.json', { pendingViews: 3, lastUpdate: '2026-03-01T18:00:00+07:00' });
+        mergeViews();
+        
+        assert.equal(readJSON(rootDir, 'manga.json').manga.views, 8);
+        assert.equal(readJSON(rootDir, 'daily-views.json').dailyRecords['2026-03-01'].manga, 8);
+    });
+    
+    it('does not count a file left behind after its merge twice', () => {
+        writeJSON(rootDir, 'pending-views.json', { pendingViews: 5, lastUpdate: '2026-03-01T10:00:00+07:00' });
+        const leftover = fs.readFileSync(path.join(rootDir, 'pending-views.json'));
+        mergeViews();
+        fs.writeFileSync(path.join(rootDir, 'pending-views.json'), leftover);
+        mergeViews();
+        
+        assert.equal(readJSON(rootDir, 'manga.json').manga.views, 5);
+        assert.equal(readJSON(rootDir, 'daily-views.json').dailyRecords['2026-03-01'].manga, 5);
+    });
+    
+    it('stops cleanup before compaction when a pending file cannot be merged', () => {
+        fs.writeFileSync(path.join(rootDir, 'pending-chapter-views.json'), '{', 'utf8');
+        
+        assert.throws(() => execFileSync(process.execPath, [SCRIPT, 'cleanup'], { cwd: rootDir, stdio: 'pipe' }), { status: 1 });
+        assert.equal(fs.existsSync(path.join(rootDir, 'pending-chapter-views.json')), true);
+    });
+});
+
+describe('diffMangaData config changes', () => {
+    it('reports config_changed for config edits that do not show up in manga.json', () => {
+        const rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        const first = automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK });
+        
+        const unchanged = automation.buildMangaData({ rootDir, config, now: BEFORE_UNLOCK, oldMangaData: first.mangaData, uploadDates: first.uploadDates });
+        assert.deepEqual(unchanged.changes.reasons, []);
+        
+        const edited = { ...config, site: { seriesUrl: 'https://example.com/series/{repo}' } };
+        const second = automation.buildMangaData({ rootDir, config: edited, now: BEFORE_UNLOCK, oldMangaData: first.mangaData, uploadDates: first.uploadDates });
+        assert.equal(second.changes.configChanged, true);
+        assert.deepEqual(second.changes.reasons, ['config_changed']);
+        assert.equal(second.changes.structural, true);
+        removeDir(rootDir);
+    });
+});
+
+describe('notify (CLI)', () => {
+    const SCRIPT = path.join(__dirname, '..', 'manga-automation.js');
+    let rootDir;
+    let server;
+    let received;
+    
+    // Async on purpose: the test server has to answer while the CLI runs
+    const notify = (...args) => promisify(execFile)(process.execPath, [SCRIPT, 'notify', ...args], { cwd: rootDir });
+    
+    const setWebhooks = names => {
+        const config = readJSON(rootDir, 'manga-config.json');
+        config.notifications = {
+            retries: 0,
+            webhooks: names.map(name => ({ name, type: 'json', url: `http://127.0.0.1:${server.address().port}/${name}` }))
+        };
+        writeJSON(rootDir, 'manga-config.json', config);
+    };
+    
+    const publishChapter4 = () => {
+        fs.mkdirSync(path.join(rootDir, '4'));
+        writeJSON(rootDir, '4/manifest.json', { pages: ['https://cdn.example.com/FixtureSeries/4/Image01.webp'], total_pages: 1 });
+        const config = automation.loadConfig(rootDir);
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK }), { rootDir, config, now: AFTER_UNLOCK });
+    };
+    
+    beforeEach(async () => {
+        received = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, chapter: JSON.parse(body).chapter });
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        
+        rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: AFTER_UNLOCK }), { rootDir, config, now: AFTER_UNLOCK });
+    });
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        removeDir(rootDir);
+    });
+    
+    it('previews the latest chapter on a fresh repo with --dry-run and records nothing', async () => {
+        setWebhooks(['chat']);
+        
+        const { stdout } = await notify('--dry-run');
+        assert.match(stdout, /3 → chat \(json\) - sample for the new webhook/);
+        assert.equal(fs.existsSync(path.join(rootDir, 'announced-chapters.json')), false);
+        assert.deepEqual(received, []);
+    });
+    
+    it('seeds every webhook on its own, so a webhook added later gets no back catalogue', async () => {
+        setWebhooks(['chat']);
+        await notify();
+        assert.deepEqual(received, []);
+        
+        publishChapter4();
+        setWebhooks(['chat', 'later']);
+        await notify();
+        
+        // "later" only starts with chapters published after it was added
+        assert.deepEqual(received, [{ path: '/chat', chapter: '4' }]);
+        
+        const ledger = readJSON(rootDir, 'announced-chapters.json');
+        assert.deepEqual(Object.keys(ledger.webhooks), ['chat', 'later']);
+        assert.deepEqual(ledger.chapters['4'].seeded, ['later']);
+        assert.deepEqual(ledger.chapters['1'].seeded, ['chat', 'later']);
+    });
+});
+
+describe('analyseChapterSequence', () => {
+    const missing = (names, config = {}) => automation.analyseChapterSequence(names, config).missing;
+    
+    it('starts at the lowest folder unless firstChapter says otherwise', () => {
+        assert.deepEqual(missing(['5', '6', '8']), [{ from: '7', to: '7' }]);
+        assert.deepEqual(missing(['5', '6', '8'], { firstChapter: 1 }), [{ from: '1', to: '4' }, { from: '7', to: '7' }]);
+    });
+    
+    it('does not read multi-digit decimals as parts', () => {
+        assert.deepEqual(missing(['3.1', '3.10']), []);
+        assert.deepEqual(missing(['3.1', '3.3', '3.15']), [{ from: '3.2', to: '3.2' }]);
+    });
+    
+    it('rejects a firstChapter that is not a whole number', () => {
+        const rootDir = copyFixture('series');
+        const config = { ...readJSON(rootDir, 'manga-config.json'), firstChapter: '1' };
+        
+        assert.deepEqual(automation.validateConfig(config, ['1', '2', '3']), ['"firstChapter" must be a non-negative whole number (got "1")']);
+        removeDir(rootDir);
+    });
+});
+
+describe('configs without genre / cover', () => {
+    it('still generate, with warnings instead of errors', () => {
+        const rootDir = copyFixture('series');
+        const config = readJSON(rootDir, 'manga-config.json');
+        delete config.cover;
+        config.genre = [];
+        writeJSON(rootDir, 'manga-config.json', config);
+        
+        const { config: loaded, warnings } = automation.loadConfigWithWarnings(rootDir);
+        assert.deepEqual(warnings, automation.getConfigWarnings(loaded));
+        assert.equal(warnings.length, 2);
+        assert.equal(automation.writeMangaData(automation.buildMangaData({ rootDir, config: loaded, now: AFTER_UNLOCK }), { rootDir, config: loaded, now: AFTER_UNLOCK }), true);
+        assert.doesNotMatch(fs.readFileSync(path.join(rootDir, 'feed.xml'), 'utf8'), /<logo>/);
+        removeDir(rootDir);
+    });
+    
+    it('keeps malformed values as errors', () => {
+        const config = { ...readJSON(path.join(__dirname, 'fixtures', 'series'), 'manga-config.json'), genre: 'Comedy', cover: 'cover.webp' };
+        
+        assert.deepEqual(automation.validateConfig(config, ['1', '2', '3']), [
+            '"genre" must be an array of strings',
+            '"cover" must be an http(s) URL (got "cover.webp")'
+        ]);
+    });
+});
+
+describe('import (CLI)', () => {
+    const SCRIPT = path.join(__dirname, '..', 'manga-automation.js');
+    const MANGA_ID = '00000000-0000-4000-8000-000000000001';
+    
+    it('keeps the status when MangaDex says completed but there is no endChapter', () => {
+        const rootDir = copyFixture('series');
+        writeJSON(rootDir, 'mangadex.json', {
+            result: 'ok',
+            data: {
+                id: MANGA_ID,
+                type: 'manga',
+                attributes: { title: { en: 'Fixture Series' }, status: 'completed', originalLanguage: 'ja', tags: [] },
+                relationships: []
+            }
+        });
+        
+        const output = execFileSync(process.execPath, [SCRIPT, 'import', 'mangadex.json', '--write'], { cwd: rootDir, encoding: 'utf8' });
+        
+        assert.match(output, /⛔ status: "ONGOING" → "END" \(kept - END needs "endChapter"/);
+        assert.equal(readJSON(rootDir, 'manga-config.json').status, 'ONGOING');
+        removeDir(rootDir);
+    });
+});
+
+describe('renameAll', () => {
+    [['the temporary names', 2], ['the final names', 4]].forEach(([phase, failAt]) => {
+        it(`puts every image back when a rename to ${phase} fails`, () => {
+            const rootDir = copyFixture('series');
+            const folder = path.join(rootDir, '1');
+            ['1.webp', '2.webp', '3.webp'].forEach(file => fs.writeFileSync(path.join(folder, file), `image ${file}`));
+            const before = fs.readdirSync(folder).sort();
+            
+            const renameSync = fs.renameSync;
+            let calls = 0;
+            mock.method(fs, 'renameSync', (...args) => {
+                if (++calls === failAt) throw new Error('disk full');
+                return renameSync(...args);
+            });
+            assert.throws(() => automation.renameAll(folder, [
+                { from: '1.webp', to: '2.webp' },
+                { from: '2.webp', to: '1.webp' },
+                { from: '3.webp', to: 'Image03.webp' }
+            ]), /disk full/);
+            fs.renameSync.mock.restore();
+            
+            assert.deepEqual(fs.readdirSync(folder).sort(), before);
+            assert.equal(fs.readFileSync(path.join(folder, '1.webp'), 'utf8'), 'image 1.webp');
+            assert.equal(fs.readFileSync(path.join(folder, '2.webp'), 'utf8'), 'image 2.webp');
+            removeDir(rootDir);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const automation = require('../manga-automation.js');
+const worker = require('../view-worker.js');
+const { copyFixture, removeDir, readJSON, silenceConsole } = require('./helpers.js');
+
+// 2026-03-21 12:00 WIB
+const NOW = new Date('2026-03-21T05:00:00Z');
+
+before(silenceConsole);
+after(() => mock.restoreAll());
+
+function fakeRequest(ip, userAgent) {
+    return { headers: { 'user-agent': userAgent }, socket: { remoteAddress: ip } };
+}
+
+function emptyState() {
+    return { pending: {}, seen: {} };
+}
+
+describe('visitor dedup', () => {
+    it('counts a visitor once per target per day', () => {
+        const state = emptyState();
+        const req = fakeRequest('10.0.0.1', 'Firefox');
+        const view = (chapterName, date) => {
+            const target = chapterName === null ? 'manga' : `chapter:${chapterName}`;
+            return worker.recordView(state, worker.getVisitorKey(req, target, date), chapterName, date);
+        };
+        
+        assert.equal(view('2', '2026-03-20'), true);
+        assert.equal(view('2', '2026-03-20'), false);
+        assert.equal(view('3', '2026-03-20'), true);
+        assert.equal(view(null, '2026-03-20'), true);
+        assert.equal(view('2', '2026-03-21'), true);
+        
+        assert.deepEqual(state.pending, {
+            '2026-03-20': { manga: 1, chapters: { '2': 1, '3': 1 } },
+            '2026-03-21': { manga: 0, chapters: { '2': 1 } }
+        });
+    });
+    
+    it('tells visitors apart by address and user agent, and stores hashes only', () => {
+        const key = (ip, userAgent) => worker.getVisitorKey(fakeRequest(ip, userAgent), 'manga', '2026-03-20');
+        
+        assert.equal(key('10.0.0.1', 'Firefox'), key('10.0.0.1', 'Firefox'));
+        assert.notEqual(key('10.0.0.1', 'Firefox'), key('10.0.0.2', 'Firefox'));
+        assert.notEqual(key('10.0.0.1', 'Firefox'), key('10.0.0.1', 'Chrome'));
+        assert.match(key('10.0.0.1', 'Firefox'), /^[0-9a-f]{64}$/);
+    });
+    
+    it('keeps seen visitors across a save and load', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'view-state-'));
+        const statePath = path.join(dir, 'state.json');
+        const state = emptyState();
+        worker.recordView(state, 'a', '2', '2026-03-20');
+        worker.saveState(statePath, state);
+        
+        assert.deepEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).seen, { '2026-03-20': ['a'] });
+        const loaded = worker.loadState(statePath);
+        assert.equal(worker.recordView(loaded, 'a', '2', '2026-03-20'), false);
+        removeDir(dir);
+    });
+});
+
+describe('flushPending', () => {
+    let rootDir;
+    let config;
+    beforeEach(() => {
+        rootDir = copyFixture('series');
+        config = automation.loadConfig(rootDir);
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: NOW }), { rootDir, config, now: NOW });
+    });
+    afterEach(() => removeDir(rootDir));
+    
+    it('writes past days in the Worker format and keeps today pending', () => {
+        const state = {
+            pending: {
+                '2026-03-21': { manga: 1, chapters: { '1': 1 } },
+                '2026-03-20': { manga: 2, chapters: { '3': 1, '1': 4 } },
+                '2026-03-19': { manga: 1, chapters: {} }
+            },
+            seen: { '2026-03-19': new Set(['a']), '2026-03-20': new Set(['b']), '2026-03-21': new Set(['c']) }
+        };
+        
+        const result = worker.flushPending(rootDir, state, config, { now: NOW });
+        assert.deepEqual(result, { dates: ['2026-03-19', '2026-03-20'], manga: 3, chapters: 5, dropped: 0 });
+        
+        const dailyViews = readJSON(rootDir, 'daily-views.json');
+        assert.deepEqual(Object.keys(dailyViews.dailyRecords), ['2026-03-19', '2026-03-20']);
+        assert.deepEqual(dailyViews.dailyRecords['2026-03-20'], { manga: 2, chapters: { '1': 4, '3': 1 } });
+        // Chapters in reading order, exactly like the Worker writes them
+        assert.deepEqual(Object.keys(dailyViews.dailyRecords['2026-03-20'].chapters), ['1', '3']);
+        
+        const mangaData = readJSON(rootDir, 'manga.json');
+        assert.equal(mangaData.manga.views, 3);
+        assert.equal(mangaData.chapters['1'].views, 4);
+        
+        assert.deepEqual(Object.keys(state.pending), ['2026-03-21']);
+        assert.deepEqual(Object.keys(state.seen), ['2026-03-21']);
+        assert.equal(fs.readdirSync(rootDir).some(file => file.endsWith('.tmp')), false);
+    });
+    
+    it('adds to an existing day instead of replacing it', () => {
+        const state = { pending: { '2026-03-20': { manga: 2, chapters: { '2': 1 } } }, seen: {} };
+        worker.flushPending(rootDir, state, config, { now: NOW });
+        state.pending['2026-03-20'] = { manga: 1, chapters: { '2': 2 } };
+        worker.flushPending(rootDir, state, config, { now: NOW });
+        
+        assert.deepEqual(readJSON(rootDir, 'daily-views.json').dailyRecords['2026-03-20'], { manga: 3, chapters: { '2': 3 } });
+    });
+    
+    it('drops views for chapters missing from manga.json', () => {
+        const state = { pending: { '2026-03-20': { manga: 1, chapters: { '2': 1, '9': 5 } } }, seen: {} };
+        const result = worker.flushPending(rootDir, state, config, { now: NOW });
+        
+        assert.equal(result.chapters, 1);
+        assert.equal(result.dropped, 5);
+        assert.deepEqual(readJSON(rootDir, 'daily-views.json').dailyRecords['2026-03-20'], { manga: 1, chapters: { '2': 1 } });
+    });
+    
+    it('leaves both files and the pending days alone when the write fails', () => {
+        const writeFileSync = fs.writeFileSync;
+        mock.method(fs, 'writeFileSync', (file, ...rest) => {
+            if (String(file).endsWith('manga.json.tmp')) throw new Error('disk full');
+            return writeFileSync(file, ...rest);
+        });
+        const before = fs.readFileSync(path.join(rootDir, 'manga.json'), 'utf8');
+        const state = { pending: { '2026-03-20': { manga: 1, chapters: { '2': 1 } } }, seen: {} };
+        
+        assert.throws(() => worker.flushPending(rootDir, state, config, { now: NOW }), /views stay pending/);
+        assert.equal(fs.existsSync(path.join(rootDir, 'daily-views.json')), false);
+        assert.equal(fs.readFileSync(path.join(rootDir, 'manga.json'), 'utf8'), before);
+        assert.deepEqual(Object.keys(state.pending), ['2026-03-20']);
+        fs.writeFileSync.mock.restore();
+    });
+});
+
+describe('HTTP service', () => {
+    let rootDir;
+    let service;
+    let baseUrl;
+    
+    beforeEach(async () => {
+        rootDir = copyFixture('series');
+        const config = automation.loadConfig(rootDir);
+        automation.writeMangaData(automation.buildMangaData({ rootDir, config, now: NOW }), { rootDir, config, now: NOW });
+        
+        service = worker.createService(rootDir, path.join(rootDir, 'state.json'), config);
+        await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${service.server.address().port}`;
+    });
+    afterEach(async () => {
+        await new Promise(resolve => service.server.close(resolve));
+        removeDir(rootDir);
+    });
+    
+    const postView = body => fetch(`${baseUrl}/view`, { method: 'POST', body, headers: { 'User-Agent': 'test' } });
+    
+    it('counts a repeat hit from the same visitor only once', async () => {
+        const first = await (await postView('{"chapter":"2"}')).json();
+        const second = await (await postView('{"chapter":"2"}')).json();
+        
+        assert.equal(first.counted, true);
+        assert.equal(second.counted, false);
+        assert.deepEqual(readJSON(rootDir, 'state.json').pending[first.date].chapters, { '2': 1 });
+    });
+    
+    it('answers oversized bodies with 413', async () => {
+        const response = await postView(JSON.stringify({ chapter: '2', padding: 'x'.repeat(4096) }));
+        
+        assert.equal(response.status, 413);
+        assert.match((await response.json()).error, /larger than 1024 bytes/);
+    });
+    
+    it('measures the body limit in bytes, not characters', async () => {
+        const response = await postView(JSON.stringify({ chapter: '2', padding: 'é'.repeat(600) }));
+        
+        assert.equal(response.status, 413);
+    });
+    
+    it('rejects unknown chapters', async () => {
+        assert.equal((await postView('{"chapter":"99"}')).status, 404);
+    });
+});
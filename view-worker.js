@@ -0,0 +1,416 @@
+/**
+ * VIEW-WORKER.JS - LOCAL VIEW TRACKING
+ * 👁️ Offline stand-in for the Cloudflare view-tracking Worker
+ * ✅ Counts manga + chapter views over HTTP
+ * ✅ One view per visitor per target per day (WIB)
+ * ✅ Daily flush at 00:00 WIB into daily-views.json + manga.json "views"
+ *
+ * Usage:
+ * node view-worker.js [--port 8787]   → Start the service
+ * node view-worker.js flush           → Flush pending views now and exit
+ *
+ * Options (both modes):
+ *      --root <dir>    → Series folder with manga.json (default .)
+ *      --state <file>  → Pending views file (default: OS temp dir, one per repo)
+ *
+ * HTTP:
+ * POST /view   {"chapter": "3.1"} → chapter view, {} → series page view
+ *              optional "repo" must match manga-config.json repoName
+ *              bodies over 1 KB are answered with 413
+ * POST /flush  → Flush everything pending (including today) right away
+ * GET  /stats  → Pending counts per day
+ * GET  /health → "ok"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { getOption, getWIBTimestamp, getWIBDate, compareChapterNames, saveJSONFiles } = require('./manga-automation.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024;
+
+// ============================================
+// FILES
+// ============================================
+
+function readJSON(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write to a temp file first so the site never reads half a file
+function writeJSONAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+// ============================================
+// PENDING STATE
+// ============================================
+// { pending: { "2026-03-09": { manga: 3, chapters: { "2.2": 1 } } },
+//   seen:    { "2026-03-09": Set of "<sha256 of visitor + target>" } }
+// "seen" is an array per day on disk
+
+function loadState(statePath) {
+    const state = readJSON(statePath, null) || {};
+    const seen = {};
+    Object.entries(state.seen || {}).forEach(([date, keys]) => { seen[date] = new Set(keys); });
+    
+    return {
+        pending: state.pending || {},
+        seen: seen
+    };
+}
+
+function saveState(statePath, state) {
+    const seen = {};
+    Object.entries(state.seen).forEach(([date, keys]) => { seen[date] = Array.from(keys); });
+    
+    writeJSONAtomic(statePath, { pending: state.pending, seen: seen });
+}
+
+// Visitors are stored as a hash only - no IPs or user agents on disk
+function getVisitorKey(req, target, date) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    const ip = req.headers['cf-connecting-ip'] || forwarded || req.socket.remoteAddress || '';
+    const userAgent = req.headers['user-agent'] || '';
+    
+    return crypto.createHash('sha256').update(`${date}|${ip}|${userAgent}|${target}`).digest('hex');
+}
+
+// Returns true when the hit was counted, false when it was a repeat
+function recordView(state, visitorKey, chapterName, date) {
+    const seen = state.seen[date] || new Set();
+    if (seen.has(visitorKey)) {
+        return false;
+    }
+    seen.add(visitorKey);
+    state.seen[date] = seen;
+    
+    const day = state.pending[date] || { manga: 0, chapters: {} };
+    if (chapterName) {
+        day.chapters[chapterName] = (day.chapters[chapterName] || 0) + 1;
+    } else {
+        day.manga += 1;
+    }
+    state.pending[date] = day;
+    return true;
+}
+
+// ============================================
+// FLUSH (same shape the Cloudflare Worker writes)
+// ============================================
+
+function addDayToDailyViews(dailyViews, date, day, config) {
+    dailyViews.dailyRecords = dailyViews.dailyRecords || {};
+    const record = dailyViews.dailyRecords[date] || { manga: 0, chapters: {} };
+    
+    record.manga = (record.manga || 0) + day.manga;
+    
+    const chapters = Object.assign({}, record.chapters);
+    Object.entries(day.chapters).forEach(([chapterName, views]) => {
+        chapters[chapterName] = (chapters[chapterName] || 0) + views;
+    });
+    
+    // Chapters in reading order, like the Worker's output
+    record.chapters = {};
+    Object.keys(chapters)
+        .sort((a, b) => compareChapterNames(a, b, config))
+        .forEach(chapterName => { record.chapters[chapterName] = chapters[chapterName]; });
+    
+    dailyViews.dailyRecords[date] = record;
+    
+    // Keep days sorted too
+    const sortedRecords = {};
+    Object.keys(dailyViews.dailyRecords).sort().forEach(key => {
+        sortedRecords[key] = dailyViews.dailyRecords[key];
+    });
+    dailyViews.dailyRecords = sortedRecords;
+}
+
+// Flushes the given days (default: every day before today in WIB). Views for
+// chapters no longer in manga.json are dropped, counters and daily records alike.
+function flushPending(rootDir, state, config, options = {}) {
+    const today = getWIBDate(options.now);
+    const dates = Object.keys(state.pending)
+        .filter(date => options.includeToday || date < today)
+        .sort();
+    
+    if (dates.length === 0) {
+        return { dates: [], manga: 0, chapters: 0, dropped: 0 };
+    }
+    
+    const mangaPath = path.join(rootDir, 'manga.json');
+    const dailyPath = path.join(rootDir, 'daily-views.json');
+    const mangaData = readJSON(mangaPath, null);
+    if (!mangaData || !mangaData.manga) {
+        throw new Error(`${mangaPath} not found - run generate first`);
+    }
+    const dailyViews = readJSON(dailyPath, { dailyRecords: {} });
+    
+    let mangaTotal = 0;
+    let chapterTotal = 0;
+    let dropped = 0;
+    
+    dates.forEach(date => {
+        const day = { manga: state.pending[date].manga, chapters: {} };
+        
+        mangaData.manga.views = (mangaData.manga.views || 0) + day.manga;
+        mangaTotal += day.manga;
+        
+        Object.entries(state.pending[date].chapters).forEach(([chapterName, views]) => {
+            const chapter = mangaData.chapters && mangaData.chapters[chapterName];
+            if (!chapter) {
+                dropped += views;
+                return;
+            }
+            chapter.views = (chapter.views || 0) + views;
+            day.chapters[chapterName] = views;
+            chapterTotal += views;
+        });
+        
+        addDayToDailyViews(dailyViews, date, day, config);
+    });
+    
+    // Both or neither - a half-written flush would be counted again next time
+    const saved = saveJSONFiles([
+        { filename: dailyPath, data: dailyViews },
+        { filename: mangaPath, data: mangaData }
+    ]);
+    if (!saved) {
+        throw new Error('could not write daily-views.json + manga.json - views stay pending');
+    }
+    
+    // Only drop what was written; "seen" stays for today so repeats are still ignored
+    dates.forEach(date => {
+        delete state.pending[date];
+        if (date < today) {
+            delete state.seen[date];
+        }
+    });
+    
+    return { dates, manga: mangaTotal, chapters: chapterTotal, dropped };
+}
+
+function logFlush(result) {
+    if (result.dates.length === 0) {
+        console.log(`ℹ️  [${getWIBTimestamp()}] Nothing to flush`);
+        return;
+    }
+    console.log(`💾 [${getWIBTimestamp()}] Flushed ${result.dates.join(', ')}: +${result.manga} manga, +${result.chapters} chapter view(s)`);
+    if (result.dropped > 0) {
+        console.warn(`⚠️  Dropped ${result.dropped} view(s) for chapters no longer in manga.json`);
+    }
+}
+
+// Milliseconds until the next 00:00 WIB (UTC+7)
+function msUntilWIBMidnight(now = new Date()) {
+    const wibNow = now.getTime() + 7 * 60 * 60 * 1000;
+    const dayMs = 24 * 60 * 60 * 1000;
+    return dayMs - (wibNow % dayMs);
+}
+
+// ============================================
+// HTTP SERVICE
+// ============================================
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+// callback(error, body); error.status is 413 for oversized bodies, 400 otherwise
+function readBody(req, callback) {
+    let chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    
+    req.on('data', chunk => {
+        if (tooLarge) return;
+        size += Buffer.byteLength(chunk);
+        chunks.push(chunk);
+        if (size > MAX_BODY_BYTES) {
+            // Keep reading (and dropping) the rest so the 413 reaches the client
+            tooLarge = true;
+            chunks = [];
+        }
+    });
+    req.on('end', () => {
+        if (tooLarge) {
+            return callback(Object.assign(new Error(`body larger than ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+        }
+        const body = Buffer.concat(chunks).toString('utf8');
+        try {
+            callback(null, body ? JSON.parse(body) : {});
+        } catch (error) {
+            callback(Object.assign(error, { status: 400 }));
+        }
+    });
+}
+
+function createService(rootDir, statePath, config) {
+    const state = loadState(statePath);
+    
+    const handleView = (req, res, body) => {
+        if (body.repo !== undefined && body.repo !== config.repoName) {
+            return sendJSON(res, 404, { error: `unknown repo "${body.repo}"` });
+        }
+        
+        const chapterName = body.chapter === undefined || body.chapter === null ? null : String(body.chapter);
+        if (chapterName !== null) {
+            const mangaData = readJSON(path.join(rootDir, 'manga.json'), null);
+            const chapter = mangaData && mangaData.chapters && mangaData.chapters[chapterName];
+            if (!chapter) {
+                return sendJSON(res, 404, { error: `unknown chapter "${chapterName}"` });
+            }
+        }
+        
+        const date = getWIBDate();
+        const target = chapterName === null ? 'manga' : `chapter:${chapterName}`;
+        const counted = recordView(state, getVisitorKey(req, target, date), chapterName, date);
+        
+        if (counted) {
+            saveState(statePath, state);
+        }
+        sendJSON(res, 200, { counted, date });
+    };
+    
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        if (req.method === 'OPTIONS') {
+            return sendJSON(res, 204, {});
+        }
+        if (req.method === 'GET' && url.pathname === '/health') {
+            return sendJSON(res, 200, { ok: true });
+        }
+        if (req.method === 'GET' && url.pathname === '/stats') {
+            return sendJSON(res, 200, { pending: state.pending });
+        }
+        if (req.method === 'POST' && url.pathname === '/flush') {
+            try {
+                const result = flushPending(rootDir, state, config, { includeToday: true });
+                saveState(statePath, state);
+                logFlush(result);
+                return sendJSON(res, 200, result);
+            } catch (error) {
+                console.error('❌ Flush failed:', error.message);
+                return sendJSON(res, 500, { error: error.message });
+            }
+        }
+        if (req.method === 'POST' && url.pathname === '/view') {
+            return readBody(req, (error, body) => {
+                if (error && error.status === 413) {
+                    return sendJSON(res, 413, { error: error.message });
+                }
+                if (error || !body || typeof body !== 'object' || Array.isArray(body)) {
+                    return sendJSON(res, 400, { error: 'body must be a JSON object' });
+                }
+                handleView(req, res, body);
+            });
+        }
+        
+        sendJSON(res, 404, { error: 'not found' });
+    });
+    
+    const scheduleDailyFlush = () => {
+        const timer = setTimeout(() => {
+            try {
+                const result = flushPending(rootDir, state, config);
+                saveState(statePath, state);
+                logFlush(result);
+            } catch (error) {
+                console.error('❌ Daily flush failed (views stay pending):', error.message);
+            }
+            scheduleDailyFlush();
+        }, msUntilWIBMidnight() + 1000);
+        timer.unref();
+    };
+    
+    return { server, state, scheduleDailyFlush };
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+    const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'serve';
+    const args = process.argv.slice(2);
+    const rootDir = getOption('root', args) || '.';
+    
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(path.join(rootDir, 'manga-config.json'), 'utf8'));
+    } catch (error) {
+        console.error('❌ Error reading manga-config.json:', error.message);
+        process.exit(1);
+    }
+    
+    const statePath = getOption('state', args) || path.join(os.tmpdir(), `view-worker-${config.repoName}.json`);
+    
+    console.log('╔═══════════════════════════════════════╗');
+    console.log('║   LOCAL VIEW WORKER                   ║');
+    console.log('║ 👁️  Cloudflare Worker stand-in        ║');
+    console.log('╚═══════════════════════════════════════╝\n');
+    
+    if (command === 'flush') {
+        const state = loadState(statePath);
+        try {
+            logFlush(flushPending(rootDir, state, config, { includeToday: true }));
+        } catch (error) {
+            console.error('❌ Flush failed:', error.message);
+            process.exit(1);
+        }
+        saveState(statePath, state);
+        return;
+    }
+    
+    if (command !== 'serve') {
+        console.log('Usage:');
+        console.log('  node view-worker.js [--port 8787]  → Start the local view tracking service');
+        console.log('  node view-worker.js flush          → Flush pending views now and exit');
+        console.log('  Options: --root <dir>, --state <file>');
+        process.exit(1);
+    }
+    
+    const port = parseInt(getOption('port', args) || String(DEFAULT_PORT), 10);
+    const { server, scheduleDailyFlush } = createService(rootDir, statePath, config);
+    
+    server.listen(port, () => {
+        console.log(`👁️  Listening on http://localhost:${port} (${config.repoName})`);
+        console.log(`💾 Pending views: ${statePath}`);
+        console.log(`⏰ Next flush: 00:00 WIB (in ${Math.round(msUntilWIBMidnight() / 60000)} min)`);
+    });
+    scheduleDailyFlush();
+    
+    const shutdown = () => {
+        console.log('\n👋 Stopping (pending views are kept for the next start)');
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+    getVisitorKey,
+    loadState,
+    saveState,
+    recordView,
+    flushPending,
+    createService,
+    msUntilWIBMidnight
+};
+
+if (require.main === module) {
+    main();
+}